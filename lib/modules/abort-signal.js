@@ -0,0 +1,160 @@
+/* ------------------------------------------------------------------
+* node-onvif - abort-signal.js
+*
+* Copyright (c) 2016 - 2017, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const errors = require('./errors.js');
+
+/* ------------------------------------------------------------------
+* Function: isInvalidSignal(signal)
+*
+* Returns an error message if the value is not an AbortSignal (or an
+* object which behaves like one), or an empty string.
+* ---------------------------------------------------------------- */
+function isInvalidSignal(signal) {
+    if (!signal || typeof (signal) !== 'object' || typeof (signal.aborted) !== 'boolean'
+        || typeof (signal.addEventListener) !== 'function' || typeof (signal.removeEventListener) !== 'function') {
+        return 'The value must be an AbortSignal.';
+    }
+
+    return '';
+}
+
+/* ------------------------------------------------------------------
+* Function: createAbortError(signal)
+*
+* Returns the OnvifAbortError a request aborted by the signal is
+* rejected with. The reason given to abort() is its `cause`.
+* ---------------------------------------------------------------- */
+function createAbortError(signal) {
+    const reason = signal ? signal.reason : undefined;
+    return new errors.OnvifAbortError('The request was aborted.', {
+        cause: (reason instanceof errors.OnvifAbortError) ? undefined : reason
+    });
+}
+
+/* ------------------------------------------------------------------
+* Function: throwIfAborted(signal)
+* ---------------------------------------------------------------- */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw createAbortError(signal);
+    }
+}
+
+/* ------------------------------------------------------------------
+* Function: onAbort(signal, listener)
+*
+* Calls the listener once when the signal is aborted (at once if it
+* already is). Returns a function which removes the listener, to be
+* called when the work is done.
+* ---------------------------------------------------------------- */
+function onAbort(signal, listener) {
+    if (!signal) {
+        return () => {};
+    } else if (signal.aborted) {
+        listener(createAbortError(signal));
+        return () => {};
+    }
+
+    const handler = () => listener(createAbortError(signal));
+    signal.addEventListener('abort', handler, {once: true});
+    return () => signal.removeEventListener('abort', handler);
+}
+
+/* ------------------------------------------------------------------
+* Function: race(promise, signal)
+*
+* Returns a Promise settled like the given one, or rejected with an
+* OnvifAbortError as soon as the signal is aborted.
+* ---------------------------------------------------------------- */
+function race(promise, signal) {
+    if (!signal) {
+        return promise;
+    }
+
+    return new Promise((resolve, reject) => {
+        const remove = onAbort(signal, reject);
+        promise.then(result => {
+            remove();
+            resolve(result);
+        }, error => {
+            remove();
+            reject(error);
+        });
+    });
+}
+
+/* ------------------------------------------------------------------
+* Function: delay(ms, signal)
+*
+* Resolves after `ms`, or rejects with an OnvifAbortError as soon as
+* the signal is aborted.
+* ---------------------------------------------------------------- */
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        let timer = null;
+        const remove = onAbort(signal, error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        timer = setTimeout(() => {
+            remove();
+            resolve();
+        }, ms);
+    });
+}
+
+/* ------------------------------------------------------------------
+* Function: createController()
+*
+* Returns an AbortController, or an object which behaves like one on
+* the Node.js versions which do not have it (before 15).
+* ---------------------------------------------------------------- */
+function createController() {
+    if (typeof (AbortController) === 'function') {
+        return new AbortController();
+    }
+
+    let listeners = [];
+    const signal = {
+        aborted: false,
+        reason: undefined,
+        addEventListener: (type, listener) => {
+            if (type === 'abort' && !signal.aborted) {
+                listeners.push(listener);
+            }
+        },
+        removeEventListener: (type, listener) => {
+            listeners = listeners.filter(value => value !== listener);
+        }
+    };
+
+    return {
+        signal: signal,
+        abort: (reason) => {
+            if (signal.aborted) {
+                return;
+            }
+
+            signal.aborted = true;
+            signal.reason = reason;
+            const list = listeners;
+            listeners = [];
+            list.forEach(listener => listener({type: 'abort'}));
+        }
+    };
+}
+
+module.exports = {
+    createController,
+    isInvalidSignal,
+    createAbortError,
+    throwIfAborted,
+    onAbort,
+    race,
+    delay
+};
@@ -0,0 +1,336 @@
+/* ------------------------------------------------------------------
+* node-onvif - capabilities.js
+*
+* Copyright (c) 2016 - 2017, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+
+const NAMESPACES = {
+    media: 'http://www.onvif.org/ver10/media/wsdl',
+    media2: 'http://www.onvif.org/ver20/media/wsdl',
+    events: 'http://www.onvif.org/ver10/events/wsdl',
+    ptz: 'http://www.onvif.org/ver20/ptz/wsdl',
+    imaging: 'http://www.onvif.org/ver20/imaging/wsdl',
+    analytics: 'http://www.onvif.org/ver20/analytics/wsdl'
+};
+
+/* ------------------------------------------------------------------
+* Function: createCapabilities()
+*
+* Returns the capability model of a device nothing is known about yet.
+* Every feature is a boolean, a number (e.g., the number of the relay
+* outputs) or an Array of strings, so the model can be serialized to
+* JSON as it is.
+* ---------------------------------------------------------------- */
+function createCapabilities() {
+    return {
+        device: {
+            ipFilter: false,
+            zeroConfiguration: false,
+            ipVersion6: false,
+            dynamicDNS: false,
+            ntp: false,
+            discoveryResolve: false,
+            discoveryBye: false,
+            remoteDiscovery: false,
+            systemBackup: false,
+            systemLogging: false,
+            firmwareUpgrade: false,
+            usernameToken: false,
+            httpDigest: false
+        },
+        io: {
+            inputConnectors: 0,
+            relayOutputs: 0,
+            videoSources: 0,
+            videoOutputs: 0,
+            audioSources: 0,
+            audioOutputs: 0
+        },
+        media: {
+            available: false,
+            media2: false,
+            snapshotUri: false,
+            rotation: false,
+            maximumNumberOfProfiles: 0,
+            rtpMulticast: false,
+            rtpTcp: false,
+            rtpRtspTcp: false,
+            videoEncodings: [],
+            jpeg: false,
+            mpeg4: false,
+            h264: false,
+            h265: false
+        },
+        ptz: {
+            available: false,
+            continuousMove: false,
+            continuousPanTilt: false,
+            continuousZoom: false,
+            absoluteMove: false,
+            absolutePanTilt: false,
+            absoluteZoom: false,
+            relativeMove: false,
+            relativePanTilt: false,
+            relativeZoom: false,
+            home: false,
+            presets: 0,
+            moveStatus: false,
+            statusPosition: false
+        },
+        events: {
+            available: false,
+            pullPoint: false,
+            subscriptionPolicy: false,
+            pausableSubscription: false,
+            maxPullPoints: 0,
+            maxNotificationProducers: 0
+        },
+        imaging: {
+            available: false
+        },
+        analytics: {
+            available: false,
+            ruleSupport: false,
+            analyticsModuleSupport: false
+        }
+    };
+}
+
+/* ------------------------------------------------------------------
+* Function: buildCapabilities(sources)
+* - sources: the results of the commands, each of them may be missing
+*            (null) if the device does not support the command
+*   - capabilities        : GetCapabilities (OnvifServiceDevice.getCapabilities())
+*   - services            : the services listed by GetServices (OnvifServiceResolver.getList())
+*   - deviceService       : Device::GetServiceCapabilities
+*   - mediaService        : Media::GetServiceCapabilities
+*   - ptzService          : PTZ::GetServiceCapabilities
+*   - ptzNodes            : PTZ::GetNodes
+*   - eventsService       : Events::GetServiceCapabilities
+*   - videoEncoderOptions : Media::GetVideoEncoderConfigurationOptions
+*                           (OnvifServiceMedia.getVideoEncoderConfigurationOptions())
+*   - videoEncoderOptions2: Media2::GetVideoEncoderConfigurationOptions
+*                           (OnvifServiceMedia.getVideoEncoderConfigurationOptions2())
+*
+* Returns the capability model (see createCapabilities()). A feature is
+* supported if one of the sources says so.
+* ---------------------------------------------------------------- */
+function buildCapabilities(sources) {
+    const model = createCapabilities();
+    const c = sources.capabilities || {};
+    const namespaces = (sources.services || []).map(info => info.namespace);
+    const hasService = namespace => namespaces.indexOf(namespace) >= 0;
+
+    const device = c['Device'] || {};
+    const deviceService = sources.deviceService || {};
+    [device['Network'], deviceService['Network']].forEach(network => {
+        setFlag(model.device, 'ipFilter', network, 'IPFilter');
+        setFlag(model.device, 'zeroConfiguration', network, 'ZeroConfiguration');
+        setFlag(model.device, 'ipVersion6', network, 'IPVersion6');
+        setFlag(model.device, 'dynamicDNS', network, 'DynDNS');
+        setFlag(model.device, 'ntp', network, 'NTP');
+    });
+    [device['System'], deviceService['System']].forEach(system => {
+        setFlag(model.device, 'discoveryResolve', system, 'DiscoveryResolve');
+        setFlag(model.device, 'discoveryBye', system, 'DiscoveryBye');
+        setFlag(model.device, 'remoteDiscovery', system, 'RemoteDiscovery');
+        setFlag(model.device, 'systemBackup', system, 'SystemBackup');
+        setFlag(model.device, 'systemLogging', system, 'SystemLogging');
+        setFlag(model.device, 'firmwareUpgrade', system, 'FirmwareUpgrade');
+    });
+    setFlag(model.device, 'usernameToken', deviceService['Security'], 'UsernameToken');
+    setFlag(model.device, 'httpDigest', deviceService['Security'], 'HttpDigest');
+
+    const deviceIO = (c['Extension'] || {})['DeviceIO'];
+    setCount(model.io, 'inputConnectors', device['IO'], 'InputConnectors');
+    setCount(model.io, 'relayOutputs', device['IO'], 'RelayOutputs');
+    setCount(model.io, 'relayOutputs', deviceIO, 'RelayOutputs');
+    setCount(model.io, 'videoSources', deviceIO, 'VideoSources');
+    setCount(model.io, 'videoOutputs', deviceIO, 'VideoOutputs');
+    setCount(model.io, 'audioSources', deviceIO, 'AudioSources');
+    setCount(model.io, 'audioOutputs', deviceIO, 'AudioOutputs');
+
+    const media = c['Media'] || {};
+    const mediaService = (sources.mediaService || {})['Capabilities'] || {};
+    model.media.available = hasXaddr(media) || hasService(NAMESPACES.media);
+    model.media.media2 = hasService(NAMESPACES.media2);
+    setFlag(model.media, 'snapshotUri', mediaService, 'SnapshotUri');
+    setFlag(model.media, 'rotation', mediaService, 'Rotation');
+    setCount(model.media, 'maximumNumberOfProfiles', mediaService['ProfileCapabilities'], 'MaximumNumberOfProfiles');
+    setCount(model.media, 'maximumNumberOfProfiles', (media['Extension'] || {})['ProfileCapabilities'], 'MaximumNumberOfProfiles');
+    [media['StreamingCapabilities'], mediaService['StreamingCapabilities']].forEach(streaming => {
+        setFlag(model.media, 'rtpMulticast', streaming, 'RTPMulticast');
+        setFlag(model.media, 'rtpTcp', streaming, 'RTP_TCP');
+        setFlag(model.media, 'rtpRtspTcp', streaming, 'RTP_RTSP_TCP');
+    });
+
+    const encodings = [];
+    const options = sources.videoEncoderOptions;
+    if (options) {
+        [options, options.extension || {}].forEach(o => {
+            if (o.jpeg) encodings.push('JPEG');
+            if (o.mpeg4) encodings.push('MPEG4');
+            if (o.h264) encodings.push('H264');
+        });
+    }
+    (sources.videoEncoderOptions2 || []).forEach(o => {
+        if (typeof (o.encoding) === 'string' && o.encoding) {
+            encodings.push(o.encoding.toUpperCase());
+        }
+    });
+    model.media.videoEncodings = encodings.filter((encoding, i) => encodings.indexOf(encoding) === i);
+    model.media.jpeg = model.media.videoEncodings.indexOf('JPEG') >= 0;
+    model.media.mpeg4 = model.media.videoEncodings.indexOf('MPEG4') >= 0;
+    model.media.h264 = model.media.videoEncodings.indexOf('H264') >= 0;
+    model.media.h265 = model.media.videoEncodings.indexOf('H265') >= 0;
+
+    const ptzService = (sources.ptzService || {})['Capabilities'];
+    model.ptz.available = hasXaddr(c['PTZ']) || hasService(NAMESPACES.ptz);
+    setFlag(model.ptz, 'moveStatus', ptzService, 'MoveStatus');
+    setFlag(model.ptz, 'statusPosition', ptzService, 'StatusPosition');
+    ensureArray((sources.ptzNodes || {})['PTZNode']).forEach(node => {
+        const spaces = node['SupportedPTZSpaces'] || {};
+        model.ptz.continuousPanTilt = model.ptz.continuousPanTilt || ('ContinuousPanTiltVelocitySpace' in spaces);
+        model.ptz.continuousZoom = model.ptz.continuousZoom || ('ContinuousZoomVelocitySpace' in spaces);
+        model.ptz.absolutePanTilt = model.ptz.absolutePanTilt || ('AbsolutePanTiltPositionSpace' in spaces);
+        model.ptz.absoluteZoom = model.ptz.absoluteZoom || ('AbsoluteZoomPositionSpace' in spaces);
+        model.ptz.relativePanTilt = model.ptz.relativePanTilt || ('RelativePanTiltTranslationSpace' in spaces);
+        model.ptz.relativeZoom = model.ptz.relativeZoom || ('RelativeZoomTranslationSpace' in spaces);
+        setFlag(model.ptz, 'home', node, 'HomeSupported');
+        setCount(model.ptz, 'presets', node, 'MaximumNumberOfPresets');
+    });
+    model.ptz.continuousMove = model.ptz.continuousPanTilt || model.ptz.continuousZoom;
+    model.ptz.absoluteMove = model.ptz.absolutePanTilt || model.ptz.absoluteZoom;
+    model.ptz.relativeMove = model.ptz.relativePanTilt || model.ptz.relativeZoom;
+
+    const events = c['Events'] || {};
+    const eventsService = (sources.eventsService || {})['Capabilities'];
+    model.events.available = hasXaddr(events) || hasService(NAMESPACES.events);
+    setFlag(model.events, 'pullPoint', events, 'WSPullPointSupport');
+    setFlag(model.events, 'subscriptionPolicy', events, 'WSSubscriptionPolicySupport');
+    setFlag(model.events, 'subscriptionPolicy', eventsService, 'WSSubscriptionPolicySupport');
+    setFlag(model.events, 'pausableSubscription', events, 'WSPausableSubscriptionManagerInterfaceSupport');
+    setFlag(model.events, 'pausableSubscription', eventsService, 'WSPausableSubscriptionManagerInterfaceSupport');
+    setCount(model.events, 'maxPullPoints', eventsService, 'MaxPullPoints');
+    setCount(model.events, 'maxNotificationProducers', eventsService, 'MaxNotificationProducers');
+    // A device claiming pull points in the Events service supports them
+    model.events.pullPoint = model.events.pullPoint || model.events.maxPullPoints > 0;
+
+    model.imaging.available = hasXaddr(c['Imaging']) || hasService(NAMESPACES.imaging);
+
+    const analytics = c['Analytics'] || {};
+    model.analytics.available = hasXaddr(analytics) || hasService(NAMESPACES.analytics);
+    setFlag(model.analytics, 'ruleSupport', analytics, 'RuleSupport');
+    setFlag(model.analytics, 'analyticsModuleSupport', analytics, 'AnalyticsModuleSupport');
+
+    return model;
+}
+
+/* ------------------------------------------------------------------
+* Function: restoreCapabilities(saved)
+* - saved: a capability model serialized before (e.g., by
+*          OnvifDevice.toJSON())
+*
+* Returns the capability model having the saved values. The features
+* missing in it (e.g., saved by an older version of this module) or
+* having another type are unknown (false or 0).
+* ---------------------------------------------------------------- */
+function restoreCapabilities(saved) {
+    const model = createCapabilities();
+    Object.keys(model).forEach(section => {
+        const values = (saved && typeof (saved[section]) === 'object') ? saved[section] : {};
+        Object.keys(model[section]).forEach(key => {
+            const value = values[key];
+            if (Array.isArray(model[section][key])) {
+                if (Array.isArray(value)) {
+                    model[section][key] = value.filter(v => typeof (v) === 'string');
+                }
+            } else if (typeof (value) === typeof (model[section][key])) {
+                model[section][key] = value;
+            }
+        });
+    });
+
+    return model;
+}
+
+/* ------------------------------------------------------------------
+* Function: hasFeature(model, name)
+* - name: the path of the feature in the model (e.g., "ptz.absoluteMove",
+*         "media.h265", "io.relayOutputs")
+*
+* Returns true if the feature is true, a number more than 0 or a
+* non-empty Array. Throws an error for a name not in the model, so that
+* a typo is not taken as a missing feature.
+* ---------------------------------------------------------------- */
+function hasFeature(model, name) {
+    if (typeof (name) !== 'string' || !name) {
+        throw new Error('The feature must be a non-empty string.');
+    }
+
+    let value = model;
+    name.split('.').forEach(key => {
+        value = (value && typeof (value) === 'object' && !Array.isArray(value) && value.hasOwnProperty(key)) ? value[key] : undefined;
+    });
+
+    if (typeof (value) === 'boolean') {
+        return value;
+    } else if (typeof (value) === 'number') {
+        return value > 0;
+    } else if (Array.isArray(value)) {
+        return value.length > 0;
+    }
+
+    throw new Error('The feature "' + name + '" is unknown.');
+}
+
+// The text of an element, or the value of an attribute (GetServiceCapabilities
+// reports the capabilities as attributes)
+function getValue(o, name) {
+    if (!o || typeof (o) !== 'object') {
+        return undefined;
+    } else if (name in o) {
+        const value = o[name];
+        return (value && typeof (value) === 'object') ? value['_'] : value;
+    } else if (o['$'] && name in o['$']) {
+        return o['$'][name];
+    }
+
+    return undefined;
+}
+
+function setFlag(target, key, o, name) {
+    const value = getValue(o, name);
+    if (typeof (value) === 'string' && /^(true|1)$/i.test(value.trim())) {
+        target[key] = true;
+    }
+}
+
+function setCount(target, key, o, name) {
+    const value = parseInt(getValue(o, name), 10);
+    if (!isNaN(value) && value > target[key]) {
+        target[key] = value;
+    }
+}
+
+function hasXaddr(o) {
+    return !!getValue(o, 'XAddr');
+}
+
+function ensureArray(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+
+    return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+    createCapabilities,
+    buildCapabilities,
+    restoreCapabilities,
+    hasFeature
+};
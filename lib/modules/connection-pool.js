@@ -0,0 +1,182 @@
+/* ------------------------------------------------------------------
+* node-onvif - connection-pool.js
+*
+* Copyright (c) 2016 - 2017, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const http = require('http');
+const https = require('https');
+const helpers = require('./helpers.js');
+const abortSignal = require('./abort-signal.js');
+
+const POOL_MAX_CONCURRENT_REQUESTS = 2;
+const POOL_KEEP_ALIVE_MSECS = 1000;
+
+/* ------------------------------------------------------------------
+* Constructor: OnvifConnectionPool([params])
+* - params:
+*   - maxConcurrentRequests | Integer | optional | SOAP requests sent to the
+*                                                   device at the same time
+*                                                   (Default 2). The others
+*                                                   wait in a queue.
+*   - keepAlive             | Boolean | optional | Keep the connections open
+*                                                   between requests (Default true)
+*
+* Every OnvifDevice has one pool shared by all of its services, so a
+* device never sees more than `maxConcurrentRequests` requests at once.
+* ---------------------------------------------------------------- */
+function OnvifConnectionPool(params) {
+    params = params || {};
+
+    let errorMessage = '';
+    if (errorMessage = helpers.isInvalidValue(params, 'object', true)) {
+        throw new Error('The value of "params" was invalid: ' + errorMessage);
+    }
+
+    if ('maxConcurrentRequests' in params) {
+        if (errorMessage = helpers.isInvalidValue(params['maxConcurrentRequests'], 'integer')) {
+            throw new Error('The "maxConcurrentRequests" property was invalid: ' + errorMessage);
+        } else if (params['maxConcurrentRequests'] < 1) {
+            throw new Error('The "maxConcurrentRequests" property was invalid: The value must be 1 or greater.');
+        }
+    }
+
+    if ('keepAlive' in params && (errorMessage = helpers.isInvalidValue(params['keepAlive'], 'boolean'))) {
+        throw new Error('The "keepAlive" property was invalid: ' + errorMessage);
+    }
+
+    this.maxConcurrentRequests = params['maxConcurrentRequests'] || POOL_MAX_CONCURRENT_REQUESTS;
+    this.keepAlive = params['keepAlive'] !== false;
+
+    this._agents = {};
+    this._inFlight = 0;
+    this._queue = [];
+    this._stats = {
+        completed: 0,
+        failed: 0,
+        maxQueued: 0
+    };
+}
+
+/* ------------------------------------------------------------------
+* Method: getAgent(protocol[, tls])
+* - protocol: "http:" or "https:"
+* - tls: the TLS options parsed by parseTlsOptions()
+* ---------------------------------------------------------------- */
+OnvifConnectionPool.prototype.getAgent = function (protocol, tls) {
+    const secure = (protocol === 'https:');
+    const key = secure ? 'https' : 'http';
+
+    if (!this._agents[key]) {
+        const options = {
+            keepAlive: this.keepAlive,
+            keepAliveMsecs: POOL_KEEP_ALIVE_MSECS,
+            maxSockets: this.maxConcurrentRequests
+        };
+
+        // A resumed TLS session does not present the certificate again,
+        // which a pinned fingerprint has to be checked against
+        if (secure && tls && tls.fingerprints.length > 0) {
+            options.maxCachedSessions = 0;
+        }
+
+        this._agents[key] = secure ? new https.Agent(options) : new http.Agent(options);
+    }
+
+    return this._agents[key];
+};
+
+/* ------------------------------------------------------------------
+* Method: schedule(task[, signal])
+* - task: a function which sends a request and returns a Promise
+* - signal: an AbortSignal, which takes the task out of the queue if
+*           it has not run yet. A running task has to watch it by
+*           itself.
+*
+* Runs the task as soon as fewer than `maxConcurrentRequests` tasks
+* are running, and returns a Promise settled like the task's one.
+* ---------------------------------------------------------------- */
+OnvifConnectionPool.prototype.schedule = function (task, signal) {
+    return new Promise((resolve, reject) => {
+        abortSignal.throwIfAborted(signal);
+
+        const item = {task, resolve, reject};
+        item.removeAbortListener = abortSignal.onAbort(signal, error => {
+            const index = this._queue.indexOf(item);
+            if (index >= 0) {
+                this._queue.splice(index, 1);
+                reject(error);
+            }
+        });
+        this._queue.push(item);
+        this._stats.maxQueued = Math.max(this._stats.maxQueued, this._queue.length);
+        this._runNext();
+    });
+};
+
+OnvifConnectionPool.prototype._runNext = function () {
+    if (this._inFlight >= this.maxConcurrentRequests || this._queue.length === 0) {
+        return;
+    }
+
+    const item = this._queue.shift();
+    item.removeAbortListener();
+    this._inFlight++;
+
+    Promise.resolve()
+        .then(() => item.task())
+        .then(result => {
+            this._stats.completed++;
+            item.resolve(result);
+        }, error => {
+            this._stats.failed++;
+            item.reject(error);
+        })
+        .then(() => {
+            this._inFlight--;
+            this._runNext();
+        });
+};
+
+/* ------------------------------------------------------------------
+* Method: getStats()
+*
+* Returns an object:
+*   - inFlight    : requests being sent now
+*   - queued      : requests waiting for their turn
+*   - maxQueued   : the longest the queue has been
+*   - completed   : requests which got a response
+*   - failed      : requests which failed (network errors, ...)
+*   - sockets     : open connections
+*   - freeSockets : idle connections kept alive
+* ---------------------------------------------------------------- */
+OnvifConnectionPool.prototype.getStats = function () {
+    const countSockets = name => Object.keys(this._agents)
+        .map(key => this._agents[key][name])
+        .reduce((count, list) => count + Object.keys(list).reduce((n, host) => n + list[host].length, 0), 0);
+
+    return {
+        maxConcurrentRequests: this.maxConcurrentRequests,
+        inFlight: this._inFlight,
+        queued: this._queue.length,
+        maxQueued: this._stats.maxQueued,
+        completed: this._stats.completed,
+        failed: this._stats.failed,
+        sockets: countSockets('sockets'),
+        freeSockets: countSockets('freeSockets')
+    };
+};
+
+/* ------------------------------------------------------------------
+* Method: destroy()
+*
+* Closes the kept-alive connections.
+* ---------------------------------------------------------------- */
+OnvifConnectionPool.prototype.destroy = function () {
+    Object.keys(this._agents).forEach(key => this._agents[key].destroy());
+    this._agents = {};
+};
+
+module.exports = OnvifConnectionPool;
@@ -0,0 +1,134 @@
+/* ------------------------------------------------------------------
+* node-onvif - discovery.js
+*
+* Copyright (c) 2016 - 2017, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const Util = require('util');
+const EventEmitter = require('events').EventEmitter;
+
+/* ------------------------------------------------------------------
+* Constructor: OnvifDiscovery(stop)
+* - stop: a function which aborts the underlying probe and returns
+*         a Promise
+*
+* An OnvifDiscovery object is returned by Onvif.discover(). It emits:
+*   - 'device' : a device answered the probe (urn, xaddrs, scopes, ...)
+*   - 'done'   : the probe finished, with the list of all the devices,
+*                and the error if it failed
+*   - 'error'  : the probe failed (only if a listener is attached),
+*                emitted before 'done'
+*
+* It can also be consumed with `for await (const device of discovery)`.
+* ---------------------------------------------------------------- */
+function OnvifDiscovery(stop) {
+    this._stop = stop;
+    this._deviceList = [];
+    this._waiters = [];
+    this._done = false;
+    this._error = null;
+
+    EventEmitter.call(this);
+}
+
+Util.inherits(OnvifDiscovery, EventEmitter);
+
+/* ------------------------------------------------------------------
+* Method: stop()
+*
+* Finishes the discovery early. The 'done' event is emitted with the
+* devices found so far.
+* ---------------------------------------------------------------- */
+OnvifDiscovery.prototype.stop = function () {
+    if (this._done) {
+        return Promise.resolve();
+    }
+
+    return this._stop();
+};
+
+/* ------------------------------------------------------------------
+* Method: getDeviceList()
+* ---------------------------------------------------------------- */
+OnvifDiscovery.prototype.getDeviceList = function () {
+    return this._deviceList.slice();
+};
+
+OnvifDiscovery.prototype._addDevice = function (device) {
+    if (this._done) {
+        return;
+    }
+
+    this._deviceList.push(device);
+    this._notifyWaiters();
+    this.emit('device', device);
+};
+
+OnvifDiscovery.prototype._finish = function (error) {
+    if (this._done) {
+        return;
+    }
+
+    this._done = true;
+    this._error = error || null;
+    this._notifyWaiters();
+
+    if (error && this.listenerCount('error') > 0) {
+        this.emit('error', error);
+    }
+
+    // Always emitted, so that a consumer which only waits for 'done' does not hang
+    this.emit('done', this.getDeviceList(), this._error);
+};
+
+OnvifDiscovery.prototype._waitForDevice = function (index) {
+    if (index < this._deviceList.length) {
+        return Promise.resolve(this._deviceList[index]);
+    }
+
+    if (this._error) {
+        return Promise.reject(this._error);
+    }
+
+    if (this._done) {
+        return Promise.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+        this._waiters.push({index, resolve, reject});
+    });
+};
+
+OnvifDiscovery.prototype._notifyWaiters = function () {
+    const waiters = this._waiters;
+    this._waiters = [];
+
+    waiters.forEach(waiter => {
+        this._waitForDevice(waiter.index).then(waiter.resolve, waiter.reject);
+    });
+};
+
+OnvifDiscovery.prototype[Symbol.asyncIterator] = function () {
+    let index = 0;
+
+    return {
+        next: () => this._waitForDevice(index)
+            .then(device => {
+                if (device === null) {
+                    return {done: true, value: undefined};
+                }
+
+                index++;
+                return {done: false, value: device};
+            }),
+        return: () => this.stop()
+            .then(() => ({done: true, value: undefined})),
+        [Symbol.asyncIterator]() {
+            return this;
+        }
+    };
+};
+
+module.exports = OnvifDiscovery;
@@ -0,0 +1,174 @@
+/* ------------------------------------------------------------------
+* node-onvif - errors.js
+*
+* Copyright (c) 2016 - 2017, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const Util = require('util');
+
+/* ------------------------------------------------------------------
+* Constructor: OnvifError(message[, params])
+* - params:
+*   - methodName : the ONVIF command (e.g., "GetProfiles")
+*   - httpStatus : the HTTP status code of the response (0 if none)
+*   - code       : the SOAP fault code (e.g., "env:Sender")
+*   - subcodes   : the SOAP fault subcodes, outermost first
+*                  (e.g., ["ter:NotAuthorized"])
+*   - reason     : the SOAP fault reason
+*   - detail     : the SOAP fault detail
+*   - cause      : the underlying error, if any
+*
+* The base class of the errors the SOAP requests are rejected with:
+*   - OnvifNetworkError            : the device could not be reached
+*     - OnvifTimeoutError            : the device did not answer in time
+*   - OnvifHttpError               : an HTTP error without a SOAP fault
+*   - OnvifResponseError           : the response could not be understood
+*     - OnvifXmlLimitError           : the response exceeded a limit (see
+*                                      parseXml() in helpers.js)
+*   - OnvifAbortError              : the request was aborted by its
+*                                    AbortSignal (see abort-signal.js)
+*   - OnvifFaultError              : the device answered with a SOAP fault
+*     - OnvifNotAuthorizedError      : ter:NotAuthorized (or HTTP 401)
+*     - OnvifInvalidArgError         : ter:InvalidArgVal, ter:InvalidArgs, ...
+*     - OnvifActionNotSupportedError : ter:ActionNotSupported
+* ---------------------------------------------------------------- */
+function OnvifError(message, params) {
+    params = params || {};
+
+    Error.call(this, message);
+    Error.captureStackTrace(this, this.constructor);
+
+    this.name = this.constructor.name;
+    this.message = message;
+    this.methodName = params.methodName || '';
+    this.httpStatus = params.httpStatus || 0;
+    this.code = params.code || '';
+    this.subcodes = params.subcodes || [];
+    this.subcode = this.subcodes[0] || '';
+    this.reason = params.reason || '';
+    this.detail = params.detail || '';
+    if (params.cause) {
+        this.cause = params.cause;
+    }
+}
+
+Util.inherits(OnvifError, Error);
+
+/* ------------------------------------------------------------------
+* Method: hasSubcode(subcode)
+* - subcode: with or without the prefix (e.g., "ter:InvalidArgVal" or
+*            "InvalidArgVal")
+* ---------------------------------------------------------------- */
+OnvifError.prototype.hasSubcode = function (subcode) {
+    const name = getLocalName(subcode);
+    return this.subcodes.some(value => getLocalName(value) === name);
+};
+
+function OnvifNetworkError(message, params) {
+    OnvifError.call(this, message, params);
+}
+
+Util.inherits(OnvifNetworkError, OnvifError);
+
+function OnvifTimeoutError(message, params) {
+    OnvifNetworkError.call(this, message, params);
+}
+
+Util.inherits(OnvifTimeoutError, OnvifNetworkError);
+
+function OnvifHttpError(message, params) {
+    OnvifError.call(this, message, params);
+}
+
+Util.inherits(OnvifHttpError, OnvifError);
+
+function OnvifResponseError(message, params) {
+    OnvifError.call(this, message, params);
+}
+
+Util.inherits(OnvifResponseError, OnvifError);
+
+/* ------------------------------------------------------------------
+* Constructor: OnvifXmlLimitError(message[, params])
+* - params: the ones of OnvifError, and
+*   - limit : the limit which was exceeded: "maxResponseBytes",
+*             "maxXmlDepth", "maxXmlAttributes", or "doctype" for a
+*             DOCTYPE (which may declare entities)
+* ---------------------------------------------------------------- */
+function OnvifXmlLimitError(message, params) {
+    OnvifResponseError.call(this, message, params);
+    this.limit = (params || {}).limit || '';
+}
+
+Util.inherits(OnvifXmlLimitError, OnvifResponseError);
+
+function OnvifAbortError(message, params) {
+    OnvifError.call(this, message, params);
+}
+
+Util.inherits(OnvifAbortError, OnvifError);
+
+function OnvifFaultError(message, params) {
+    OnvifError.call(this, message, params);
+}
+
+Util.inherits(OnvifFaultError, OnvifError);
+
+function OnvifNotAuthorizedError(message, params) {
+    OnvifFaultError.call(this, message, params);
+}
+
+Util.inherits(OnvifNotAuthorizedError, OnvifFaultError);
+
+function OnvifInvalidArgError(message, params) {
+    OnvifFaultError.call(this, message, params);
+}
+
+Util.inherits(OnvifInvalidArgError, OnvifFaultError);
+
+function OnvifActionNotSupportedError(message, params) {
+    OnvifFaultError.call(this, message, params);
+}
+
+Util.inherits(OnvifActionNotSupportedError, OnvifFaultError);
+
+/* ------------------------------------------------------------------
+* Function: createFaultError(message, params)
+*
+* Returns the OnvifFaultError subclass which matches the subcodes, or
+* the code of a SOAP 1.1 fault (e.g., "ter:NotAuthorized").
+* ---------------------------------------------------------------- */
+function createFaultError(message, params) {
+    const names = (params.subcodes || []).concat(params.code || []).map(getLocalName);
+
+    if (names.indexOf('NotAuthorized') >= 0 || /Sender not authorized/i.test(params.reason || '')) {
+        return new OnvifNotAuthorizedError(message, params);
+    } else if (names.some(name => /^InvalidArg/.test(name))) {
+        return new OnvifInvalidArgError(message, params);
+    } else if (names.indexOf('ActionNotSupported') >= 0) {
+        return new OnvifActionNotSupportedError(message, params);
+    }
+
+    return new OnvifFaultError(message, params);
+}
+
+function getLocalName(name) {
+    return String(name || '').split(':').pop();
+}
+
+module.exports = {
+    OnvifError,
+    OnvifNetworkError,
+    OnvifTimeoutError,
+    OnvifHttpError,
+    OnvifResponseError,
+    OnvifXmlLimitError,
+    OnvifAbortError,
+    OnvifFaultError,
+    OnvifNotAuthorizedError,
+    OnvifInvalidArgError,
+    OnvifActionNotSupportedError,
+    createFaultError
+};
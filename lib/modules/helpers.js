@@ -1,4 +1,14 @@
+const net = require('net');
 const xml2Js = require('xml2js');
+const xmlBuilder = require('./xml-builder.js');
+const errors = require('./errors.js');
+
+// The default limits of parseXml()
+const XML_LIMITS = {
+    maxResponseBytes: 4 * 1024 * 1024,
+    maxXmlDepth: 64,
+    maxXmlAttributes: 64
+};
 
 let lastError = '';
 
@@ -21,8 +31,72 @@ function validateXAddr(xaddr) {
     return true;
 }
 
-function parseXml(soap) {
+/* ------------------------------------------------------------------
+* Method: parseUrl(url)
+*
+* Parses an xaddr or a media URI. Unlike url.parse() and URL, this
+* accepts IPv6 zone IDs (e.g., "http://[fe80::1%eth0]/onvif/device_service")
+* and returns the IPv6 hostname without the brackets so that it can
+* be passed to http.request() as is.
+* ---------------------------------------------------------------- */
+function parseUrl(url) {
+    const m = (typeof (url) === 'string') ? url.match(/^([a-zA-Z][a-zA-Z\d+\-.]*:)\/\/(?:([^@\/?#]*)@)?(\[[^\]]+\]|[^:\/?#]*)(?::(\d*))?([^?#]*)(\?[^#]*)?(#.*)?$/) : null;
+    if (!m) {
+        throw new Error(`Invalid URL: ${url}`);
+    }
+
+    let hostname = m[3];
+    if (hostname.indexOf('[') === 0) {
+        hostname = hostname.slice(1, -1).replace(/%25/, '%');
+    }
+
+    const pathname = m[5] || '/';
+    const search = m[6] || '';
+
+    return {
+        protocol: m[1].toLowerCase(),
+        auth: m[2] || '',
+        host: formatHost(hostname) + (m[4] ? ':' + m[4] : ''),
+        hostname: hostname,
+        port: m[4] || '',
+        pathname: pathname,
+        search: search,
+        path: pathname + search,
+        hash: m[7] || '',
+        href: url
+    };
+}
+
+/* ------------------------------------------------------------------
+* Method: formatHost(hostname)
+*
+* Wraps an IPv6 address in brackets so that it can be put in a URL.
+* ---------------------------------------------------------------- */
+function formatHost(hostname) {
+    return net.isIPv6(hostname.split('%')[0]) ? `[${hostname}]` : hostname;
+}
+
+/* ------------------------------------------------------------------
+* Method: parseXml(soap[, limits])
+* - limits: (Optional, XML_LIMITS for the ones not given)
+*   - maxResponseBytes: the size of the XML in bytes
+*   - maxXmlDepth     : how deeply the elements may be nested
+*   - maxXmlAttributes: the attributes an element may have
+*
+* A DOCTYPE is refused, so that no entity can be declared. The Promise
+* is rejected with an OnvifXmlLimitError if a limit is exceeded.
+* ---------------------------------------------------------------- */
+function parseXml(soap, limits) {
+    const max = {};
+    Object.keys(XML_LIMITS).forEach(name => {
+        max[name] = (limits && typeof (limits[name]) === 'number') ? limits[name] : XML_LIMITS[name];
+    });
+
     return new Promise((resolve, reject) => {
+        if (Buffer.byteLength(soap) > max.maxResponseBytes) {
+            throw createXmlLimitError('maxResponseBytes', `The XML is larger than ${max.maxResponseBytes} bytes.`);
+        }
+
         let options = {
             'explicitRoot': false,
             'explicitArray': false,
@@ -35,7 +109,9 @@ function parseXml(soap) {
             ]
         };
 
-        xml2Js.parseString(soap, options, (error, result) => {
+        const parser = new xml2Js.Parser(options);
+        limitSaxParser(parser.saxParser, max);
+        parser.parseString(soap, (error, result) => {
             if (error) {
                 reject(error);
             } else {
@@ -45,6 +121,35 @@ function parseXml(soap) {
     });
 }
 
+// The errors thrown in the handlers stop the parsing and reject parseString()
+function limitSaxParser(saxParser, max) {
+    const onopentag = saxParser.onopentag;
+    const onclosetag = saxParser.onclosetag;
+    let depth = 0;
+
+    saxParser.ondoctype = () => {
+        throw createXmlLimitError('doctype', 'The XML must not have a DOCTYPE.');
+    };
+    saxParser.onopentag = (node) => {
+        if (++depth > max.maxXmlDepth) {
+            throw createXmlLimitError('maxXmlDepth', `The XML elements are nested deeper than ${max.maxXmlDepth}.`);
+        }
+        if (Object.keys(node.attributes).length > max.maxXmlAttributes) {
+            throw createXmlLimitError('maxXmlAttributes', `The <${node.name}> element has more than ${max.maxXmlAttributes} attributes.`);
+        }
+
+        return onopentag(node);
+    };
+    saxParser.onclosetag = (name) => {
+        depth--;
+        return onclosetag(name);
+    };
+}
+
+function createXmlLimitError(limit, message) {
+    return new errors.OnvifXmlLimitError(message, {limit: limit});
+}
+
 function isStringValue(value, allow_empty) {
     return !isInvalidValue(value, 'string', allow_empty);
 }
@@ -89,13 +194,9 @@ function isInvalidValue(value, type, allow_empty) {
         }
     }
 
-    if (typeof (value) === 'string') {
-        if (value.match(/[^\x20-\x7e]/)) {
-            return 'The value must consist of ascii characters.';
-        }
-        if (value.match(/[\<\>]/)) {
-            return 'Invalid characters were found in the value ("<", ">")';
-        }
+    // The values are escaped by xml-builder.js, so anything XML can carry is fine
+    if (typeof (value) === 'string' && !xmlBuilder.isValidText(value)) {
+        return 'The value must not contain control characters.';
     }
 
     return '';
@@ -144,7 +245,10 @@ function createNonce(digit) {
 module.exports = {
     throwLast,
     validateXAddr,
+    parseUrl,
+    formatHost,
     parseXml,
+    XML_LIMITS,
     isInvalidValue,
     isBooleanValue,
     isFloatValue,
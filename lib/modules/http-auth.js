@@ -9,51 +9,94 @@
 const http = require('http');
 const https = require('https');
 const crypto = require('crypto');
+const tlsOptions = require('./tls-options.js');
+const abortSignal = require('./abort-signal.js');
 
+/* ------------------------------------------------------------------
+* Function: request(options, callback)
+* - options: protocol, hostname, port, path, method, timeout, user,
+*            pass, tls and signal (an AbortSignal)
+*
+* Sends the request again with the `Authorization` header if the
+* server answers 401 with a Digest or Basic challenge. When the signal
+* is aborted, the connection is closed and the returned request emits
+* an 'error' event with an OnvifAbortError (or this throws it if the
+* signal is aborted already).
+* ---------------------------------------------------------------- */
 function request(options, callback) {
     if (!options) {
         throw new Error('Must supply options object');
     }
+    abortSignal.throwIfAborted(options.signal);
 
-    const requestLib = options.protocol === 'https:' ? https : http;
+    const secure = options.protocol === 'https:';
+    const requestLib = secure ? https : http;
     const requestOptions = _setRequestOptions(options);
+    // The request sent last, which is the one to close on an abort
+    let current = null;
 
-    return requestLib.request(requestOptions, (res) => {
+    const req = requestLib.request(requestOptions, (res) => {
         const authHeader = res.headers['www-authenticate'];
 
         if (res.statusCode === 401 && authHeader) {
             const authData = _parseAuthString(authHeader);
-            _handleHttpAuthResponse(requestLib, requestOptions, callback, authData, options.user, options.pass);
+            current = _handleHttpAuthResponse(req, requestLib, requestOptions, callback, authData, options);
+            current.on('close', () => removeAbortListener());
         } else {
             callback(res);
         }
     });
+    current = req;
+
+    // The retried request passes its errors on to req, so either way
+    // the OnvifAbortError is emitted once
+    const removeAbortListener = abortSignal.onAbort(options.signal, error => current.destroy(error));
+    req.on('close', () => {
+        if (current === req) {
+            removeAbortListener();
+        }
+    });
+
+    tlsOptions.verifyFingerprint(req, secure ? options.tls : null)
+        .catch(error => req.destroy(error));
+
+    return req;
 }
 
 function _setRequestOptions(options) {
-    return {
+    const secure = options.protocol === 'https:';
+
+    return Object.assign({
+        protocol: options.protocol,
         method: options.method || 'GET',
         hostname: options.hostname,
-        port: options.port || 80,
+        port: options.port || (secure ? 443 : 80),
         path: options.path,
         timeout: options.timeout || 30000
-    };
+    }, secure ? tlsOptions.getRequestOptions(options.tls) : {});
 }
 
-function _handleHttpAuthResponse(requestLib, requestOptions, callback, authData, user, pass) {
+function _handleHttpAuthResponse(firstRequest, requestLib, requestOptions, callback, authData, options) {
     const {path, method} = requestOptions;
 
     requestOptions.headers = {};
-    requestOptions.headers['Authorization'] = _buildAuthHeaderString(authData, path, method, user, pass);
+    requestOptions.headers['Authorization'] = _buildAuthHeaderString(authData, path, method, options.user, options.pass);
 
     const request = requestLib.request(requestOptions, callback);
-    request.end();
+    request.on('error', error => firstRequest.emit('error', error));
+
+    // The credentials must not reach a device whose certificate is not pinned
+    tlsOptions.verifyFingerprint(request, (options.protocol === 'https:') ? options.tls : null)
+        .then(() => request.end())
+        .catch(error => request.destroy(error));
+
+    return request;
 }
 
-function _buildAuthHeaderString(authData, path, method, user, pass) {
+function _buildAuthHeaderString(authData, path, method, user, pass, nonceCount) {
     switch (authData.authType) {
         case 'Digest':
-            return _buildDigestAuthHeaderString(authData.authParams, path, method, user, pass);
+            return _buildDigestAuthHeaderString(authData.authParams, path, method, user, pass, nonceCount);
         case 'Basic':
             return _buildBasicAuthHeaderString(user, pass);
         default:
@@ -69,11 +112,14 @@ function _buildBasicAuthHeaderString(user, pass) {
     return `Basic ${b64}`;
 }
 
-function _buildDigestAuthHeaderString(authParams, path, method, user, pass) {
-    const {realm, nonce, algorithm, qop} = authParams;
+function _buildDigestAuthHeaderString(authParams, path, method, user, pass, nonceCount) {
+    const {realm, nonce, algorithm} = authParams;
+    // A server may offer several, e.g., qop="auth,auth-int"
+    const qopList = (authParams.qop || '').split(',').map(value => value.trim()).filter(value => value);
+    const qop = (qopList.indexOf('auth') >= 0) ? 'auth' : qopList[0];
 
     let ha1;
-    if (!algorithm || algorithm === 'MD5') {
+    if (!algorithm || algorithm === 'MD5' || algorithm === 'MD5-sess') {
         ha1 = _md5Hash(`${user}:${realm}:${pass}`);
     }
 
@@ -89,11 +135,15 @@ function _buildDigestAuthHeaderString(authParams, path, method, user, pass) {
         uri: path,
     };
 
+    if (authParams.opaque) {
+        args.opaque = authParams.opaque;
+    }
+
     if (!qop) {
         args.response = _md5Hash(`${ha1}:${nonce}:${ha2}`);
     } else {
         const clientNonce = _createClientNonce(32);
-        const nonceCount = '00000001';
+        nonceCount = ('0000000' + (nonceCount || 1).toString(16)).slice(-8);
 
         if (algorithm === 'MD5-sess') {
             ha1 = _md5Hash(`${ha1}:${nonce}:${clientNonce}`)
@@ -106,11 +156,15 @@ function _buildDigestAuthHeaderString(authParams, path, method, user, pass) {
         args.cnonce = clientNonce;
         args.nc = nonceCount;
         args.qop = qop;
-        args.algorithm = algorithm;
+        if (algorithm) {
+            args.algorithm = algorithm;
+        }
         args.response = _md5Hash(`${ha1}:${nonce}:${nonceCount}:${clientNonce}:${qop}:${ha2}`);
     }
 
-    const digestString = Object.entries(args).map(([key, value]) => `${key}="${value}"`).join(',');
+    // RFC 7616 does not allow the quotes around these
+    const unquotedKeys = ['nc', 'qop', 'algorithm'];
+    const digestString = Object.entries(args).map(([key, value]) => unquotedKeys.includes(key) ? `${key}=${value}` : `${key}="${value}"`).join(',');
 
     return `Digest ${digestString}`;
 }
@@ -148,6 +202,41 @@ function _parseAuthString(header) {
     };
 }
 
+/* ------------------------------------------------------------------
+* Method: parseChallenge(header)
+* - header: the value of the `WWW-Authenticate` header
+*
+* Returns the parsed challenge, or null if it is neither Digest nor Basic.
+* ---------------------------------------------------------------- */
+function parseChallenge(header) {
+    if (typeof (header) !== 'string' || header === '') {
+        return null;
+    }
+
+    const authData = _parseAuthString(header);
+    if (authData.authType !== 'Digest' && authData.authType !== 'Basic') {
+        return null;
+    }
+
+    authData.nonceCount = 0;
+    return authData;
+}
+
+/* ------------------------------------------------------------------
+* Method: createAuthorization(authData, method, path, user, pass)
+* - authData: a challenge returned by parseChallenge()
+*
+* Returns the value of the `Authorization` header. The nonce count of
+* a Digest challenge goes up every time, so that the same nonce can be
+* answered again.
+* ---------------------------------------------------------------- */
+function createAuthorization(authData, method, path, user, pass) {
+    authData.nonceCount++;
+    return _buildAuthHeaderString(authData, path, method, user, pass, authData.nonceCount);
+}
+
 module.exports = {
-    request
+    request,
+    parseChallenge,
+    createAuthorization
 };
\ No newline at end of file
@@ -0,0 +1,226 @@
+/* ------------------------------------------------------------------
+* node-onvif - http-transport.js
+*
+* Copyright (c) 2016 - 2017, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const http = require('http');
+const https = require('https');
+const tlsOptions = require('./tls-options.js');
+const httpAuth = require('./http-auth.js');
+const errors = require('./errors.js');
+const OnvifConnectionPool = require('./connection-pool.js');
+const abortSignal = require('./abort-signal.js');
+
+/* ------------------------------------------------------------------
+* Constructor: OnvifHttpTransport()
+*
+* The default transport, which POSTs the SOAP envelopes to the xaddrs
+* over HTTP or HTTPS.
+* ---------------------------------------------------------------- */
+function OnvifHttpTransport() {
+    // The HTTP authentication challenge each device answered to last,
+    // keyed by "protocol//host:port"
+    this._httpAuthList = {};
+    // The pools of the services created without an OnvifDevice
+    this._poolList = {};
+}
+
+/* ------------------------------------------------------------------
+* Method: send(xaddr, action, envelope[, options])
+* - xaddr: the parsed xaddr of the service. An "https:" xaddr is
+*          requested over TLS with the options in `xaddr.tls`
+*          (see parseTlsOptions() in tls-options.js). The request
+*          waits for its turn in `xaddr.pool` (an OnvifConnectionPool),
+*          or in a pool shared by all the services of the same host.
+* - action: the ONVIF command (e.g., "GetProfiles")
+* - envelope: the SOAP envelope
+* - options:
+*   - timeout: ms to wait for the response
+*   - maxResponseBytes: the size of the response body. The connection
+*               is closed as soon as it is exceeded, and the request
+*               is rejected with an OnvifXmlLimitError.
+*   - signal: an AbortSignal, which takes the request out of the queue
+*               of the pool or closes its connection. The request is
+*               rejected with an OnvifAbortError.
+*
+* Some devices do not accept the WS-Security UsernameToken and reply
+* 401 with an HTTP Digest or Basic challenge. The request is then sent
+* again with the `Authorization` header, and the challenge is kept so
+* that the later requests to the same device answer it up front.
+*
+* Resolves {statusCode, statusMessage, headers, xml}, whatever the
+* status is, or rejects with an OnvifNetworkError (or an
+* OnvifXmlLimitError, or an OnvifAbortError).
+* ---------------------------------------------------------------- */
+OnvifHttpTransport.prototype.send = function (xaddr, action, envelope, options) {
+    const timeout = (options || {}).timeout;
+    const maxBytes = (options || {}).maxResponseBytes;
+    const signal = (options || {}).signal;
+    const key = `${xaddr.protocol}//${xaddr.host}`;
+    const [user, pass] = splitAuth(xaddr.auth);
+    const cached = user ? this._httpAuthList[key] : null;
+
+    const pool = xaddr.pool || this._getPool(key);
+
+    const send = authData => pool.schedule(() => {
+        const authorization = authData ? httpAuth.createAuthorization(authData, 'POST', xaddr.pathname, user, pass) : '';
+        return request(xaddr, envelope, timeout, maxBytes, signal, authorization, pool.getAgent(xaddr.protocol, xaddr.tls));
+    }, signal);
+
+    return Promise.resolve(cached)
+        .then(send)
+        .then(result => {
+            const authData = (result.statusCode === 401 && user) ? httpAuth.parseChallenge(result.headers['www-authenticate']) : null;
+            if (!authData) {
+                return result;
+            }
+
+            // Answer the new challenge (or a stale nonce) once
+            this._httpAuthList[key] = authData;
+            return send(authData);
+        })
+        .then(result => {
+            if (result.statusCode === 401) {
+                delete this._httpAuthList[key];
+            }
+
+            return result;
+        });
+};
+
+OnvifHttpTransport.prototype._getPool = function (key) {
+    if (!this._poolList[key]) {
+        this._poolList[key] = new OnvifConnectionPool();
+    }
+
+    return this._poolList[key];
+};
+
+function splitAuth(auth) {
+    const index = (auth || '').indexOf(':');
+    return (index < 0) ? [auth || '', ''] : [auth.slice(0, index), auth.slice(index + 1)];
+}
+
+function request(xaddr, soap, timeout, maxBytes, signal, authorization, agent) {
+    let removeAbortListener = null;
+
+    return new Promise((resolve, reject) => {
+        const secure = (xaddr.protocol === 'https:');
+        const params = buildSoapRequestPostParams(xaddr, soap, authorization);
+        params.agent = agent;
+        const request = (secure ? https : http).request(params);
+
+        // Like the limit of the size, the socket may be back in the pool already
+        removeAbortListener = abortSignal.onAbort(signal, error => {
+            request.destroy();
+            reject(error);
+        });
+
+        if (timeout) {
+            request.setTimeout(timeout);
+        }
+        request.on('response', response => soapResponseHandler(response, request, maxBytes, resolve, reject));
+        request.on('timeout', () => request.destroy(new errors.OnvifTimeoutError(`Network Error: No response in ${timeout} ms`)));
+        request.on('error', (error) => {
+            // Here we handle errors due to network losses
+            request.removeAllListeners('error');
+            request.removeAllListeners('timeout');
+            if (error instanceof errors.OnvifError) {
+                return reject(error);
+            }
+
+            reject(new errors.OnvifNetworkError('Network Error: ' + (error ? error.message : ''), {cause: error}));
+        });
+
+        // Nothing, not even the headers, is sent before the pinned certificate is checked
+        tlsOptions.verifyFingerprint(request, secure ? xaddr.tls : null)
+            .then(() => {
+                request.write(soap, 'utf8');
+                request.end();
+            })
+            .catch(error => request.destroy(error));
+    }).then(result => {
+        removeAbortListener();
+        return result;
+    }, error => {
+        removeAbortListener();
+        throw error;
+    });
+}
+
+function buildSoapRequestPostParams(xaddr, soap, authorization) {
+    const secure = (xaddr.protocol === 'https:');
+    const headers = {
+        'Content-Type': 'application/soap+xml; charset=utf-8;',
+        'Content-Length': Buffer.byteLength(soap)
+    };
+
+    if (authorization) {
+        headers['Authorization'] = authorization;
+    }
+
+    return Object.assign({
+        protocol: xaddr.protocol,
+        hostname: xaddr.hostname,
+        port: xaddr.port || (secure ? 443 : 80),
+        path: xaddr.pathname,
+        method: 'POST',
+        headers: headers
+    }, secure ? tlsOptions.getRequestOptions(xaddr.tls) : {});
+}
+
+function soapResponseHandler(response, request, maxBytes, resolve, reject) {
+    const chunks = [];
+    let size = 0;
+    let exceeded = false;
+
+    const checkSize = (bytes) => {
+        if (exceeded) {
+            return false;
+        } else if (maxBytes && bytes > maxBytes) {
+            // The socket may be back in the pool already, so it is not
+            // destroyed with the error, which nothing would listen to
+            exceeded = true;
+            request.destroy();
+            reject(new errors.OnvifXmlLimitError(`The response is larger than ${maxBytes} bytes.`, {
+                httpStatus: response.statusCode,
+                limit: 'maxResponseBytes'
+            }));
+            return false;
+        }
+
+        return true;
+    };
+
+    if (!checkSize(parseInt(response.headers['content-length'], 10))) {
+        return;
+    }
+
+    response.on('data', (chunk) => {
+        size += chunk.length;
+        if (checkSize(size)) {
+            chunks.push(chunk);
+        }
+    });
+
+    response.on('end', () => {
+        // Stop listening for request responses
+        if (request) {
+            request.removeAllListeners('error');
+            request.removeAllListeners('timeout');
+            request.removeAllListeners('response');
+        }
+
+        resolve({
+            statusCode: response.statusCode,
+            statusMessage: response.statusMessage,
+            headers: response.headers,
+            xml: Buffer.concat(chunks).toString('utf8')
+        });
+    });
+}
+
+module.exports = OnvifHttpTransport;
@@ -0,0 +1,98 @@
+/* ------------------------------------------------------------------
+* node-onvif - interceptors.js
+*
+* Copyright (c) 2016 - 2017, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+
+const HOOK_NAMES = ['onRequest', 'onResponse', 'onError'];
+
+/* ------------------------------------------------------------------
+* Constructor: OnvifInterceptors([parent])
+* - parent: the OnvifInterceptors of the device, whose interceptors are
+*           called before the ones of the service
+*
+* An interceptor is an object which has one or more of these functions.
+* Each of them gets an event object:
+*   - onRequest  : methodName, xaddr, attempt, startTime, envelope
+*   - onResponse : the above, and duration, statusCode, headers and
+*                  response (the raw XML)
+*   - onError    : the above, and error
+* The passwords and the nonces in the envelopes are masked. An exception
+* thrown by an interceptor is ignored, so it never breaks the request.
+* ---------------------------------------------------------------- */
+function OnvifInterceptors(parent) {
+    this.parent = parent || null;
+    this._list = [];
+}
+
+/* ------------------------------------------------------------------
+* Method: add(interceptor)
+* ---------------------------------------------------------------- */
+OnvifInterceptors.prototype.add = function (interceptor) {
+    if (!interceptor || typeof (interceptor) !== 'object' || !HOOK_NAMES.some(name => typeof (interceptor[name]) === 'function')) {
+        throw new Error('The interceptor must be an object which has an onRequest(), onResponse() or onError() function.');
+    }
+
+    if (this._list.indexOf(interceptor) < 0) {
+        this._list.push(interceptor);
+    }
+};
+
+/* ------------------------------------------------------------------
+* Method: remove(interceptor)
+* ---------------------------------------------------------------- */
+OnvifInterceptors.prototype.remove = function (interceptor) {
+    const index = this._list.indexOf(interceptor);
+    if (index >= 0) {
+        this._list.splice(index, 1);
+    }
+};
+
+/* ------------------------------------------------------------------
+* Method: getList()
+* ---------------------------------------------------------------- */
+OnvifInterceptors.prototype.getList = function () {
+    return (this.parent ? this.parent.getList() : []).concat(this._list);
+};
+
+/* ------------------------------------------------------------------
+* Method: notify(name, event)
+* - name: "onRequest", "onResponse" or "onError"
+* ---------------------------------------------------------------- */
+OnvifInterceptors.prototype.notify = function (name, event) {
+    this.getList().forEach(interceptor => {
+        if (typeof (interceptor[name]) !== 'function') {
+            return;
+        }
+
+        try {
+            const result = interceptor[name](Object.assign({}, event));
+            if (result && typeof (result.catch) === 'function') {
+                result.catch(() => {
+                });
+            }
+        } catch {
+        }
+    });
+};
+
+/* ------------------------------------------------------------------
+* Function: redactEnvelope(xml)
+*
+* Masks the WS-Security password digest and nonce, and any password
+* set by a command such as CreateUsers.
+* ---------------------------------------------------------------- */
+function redactEnvelope(xml) {
+    if (typeof (xml) !== 'string') {
+        return '';
+    }
+
+    return xml.replace(/(<(?:[\w-]+:)?(Password|Nonce)\b[^>]*>)[^<]*(<\/(?:[\w-]+:)?\2>)/g, '$1***$3');
+}
+
+OnvifInterceptors.redactEnvelope = redactEnvelope;
+
+module.exports = OnvifInterceptors;
@@ -0,0 +1,71 @@
+/* ------------------------------------------------------------------
+* node-onvif - json-file-store.js
+*
+* Copyright (c) 2016 - 2017, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const fs = require('fs');
+
+/* ------------------------------------------------------------------
+* Constructor: JsonFileStore(path)
+* - path: the JSON file the records are kept in (e.g., "./devices.json")
+*
+* The default store of OnvifRegistry. Any object which has the same
+* load() and save(records) methods can be used as a store instead.
+* ---------------------------------------------------------------- */
+function JsonFileStore(path) {
+    if (typeof (path) !== 'string' || path === '') {
+        throw new Error('The "path" was invalid: The value must be a non-empty string.');
+    }
+
+    this.path = path;
+}
+
+/* ------------------------------------------------------------------
+* Method: load()
+*
+* Resolves with the list of the saved records. A missing file is
+* treated as an empty list.
+* ---------------------------------------------------------------- */
+JsonFileStore.prototype.load = function () {
+    return new Promise((resolve, reject) => {
+        fs.readFile(this.path, 'utf8', (error, text) => {
+            if (error) {
+                return (error.code === 'ENOENT') ? resolve([]) : reject(error);
+            }
+
+            let records = null;
+            try {
+                records = JSON.parse(text);
+            } catch (e) {
+                return reject(new Error(`Failed to parse ${this.path}: ${e.message}`));
+            }
+
+            resolve(Array.isArray(records) ? records : []);
+        });
+    });
+};
+
+/* ------------------------------------------------------------------
+* Method: save(records)
+*
+* Writes the records to a temporary file first and renames it, so
+* that a crash never leaves a half-written file behind.
+* ---------------------------------------------------------------- */
+JsonFileStore.prototype.save = function (records) {
+    const tmpPath = this.path + '.tmp';
+
+    return new Promise((resolve, reject) => {
+        fs.writeFile(tmpPath, JSON.stringify(records, null, 2), 'utf8', error => {
+            if (error) {
+                return reject(error);
+            }
+
+            fs.rename(tmpPath, this.path, error => error ? reject(error) : resolve());
+        });
+    });
+};
+
+module.exports = JsonFileStore;
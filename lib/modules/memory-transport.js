@@ -0,0 +1,101 @@
+/* ------------------------------------------------------------------
+* node-onvif - memory-transport.js
+*
+* Copyright (c) 2016 - 2017, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const xmlBuilder = require('./xml-builder.js');
+
+/* ------------------------------------------------------------------
+* Constructor: OnvifMemoryTransport([handler])
+* - handler: a function called with (xaddr, action, envelope, options)
+*            for the actions which have no reply set by reply()
+*
+* A transport which answers the SOAP requests itself, without any
+* network, for the unit tests or to relay the requests through another
+* channel. The sent requests are kept in `requests` as
+* {xaddr, action, envelope} objects.
+* ---------------------------------------------------------------- */
+function OnvifMemoryTransport(handler) {
+    if (handler !== undefined && typeof (handler) !== 'function') {
+        throw new Error('The "handler" must be a function.');
+    }
+
+    this.handler = handler || null;
+    this.requests = [];
+    this._replies = {};
+}
+
+/* ------------------------------------------------------------------
+* Method: reply(action, response)
+* - action: the ONVIF command (e.g., "GetProfiles")
+* - response: the response envelope, an object {statusCode, xml, ...},
+*             or a function called with (xaddr, action, envelope, options)
+*             which returns one of them or a Promise
+*
+* A response envelope holding a SOAP fault is sent with the HTTP status
+* 500, as a device does.
+* ---------------------------------------------------------------- */
+OnvifMemoryTransport.prototype.reply = function (action, response) {
+    if (typeof (action) !== 'string' || !action) {
+        throw new Error('The "action" must be a non-empty string.');
+    }
+
+    this._replies[action] = response;
+    return this;
+};
+
+/* ------------------------------------------------------------------
+* Method: clear()
+*
+* Forgets the replies and the sent requests.
+* ---------------------------------------------------------------- */
+OnvifMemoryTransport.prototype.clear = function () {
+    this.requests = [];
+    this._replies = {};
+};
+
+/* ------------------------------------------------------------------
+* Method: send(xaddr, action, envelope[, options])
+*
+* An action with neither a reply nor a handler is answered with the
+* ter:ActionNotSupported fault.
+* ---------------------------------------------------------------- */
+OnvifMemoryTransport.prototype.send = function (xaddr, action, envelope, options) {
+    this.requests.push({
+        xaddr: xaddr,
+        action: action,
+        envelope: envelope
+    });
+
+    let response = (action in this._replies) ? this._replies[action] : this.handler;
+    if (!response) {
+        response = createFault('ter:ActionNotSupported', `The ${action} action is not supported.`);
+    }
+
+    return Promise.resolve()
+        .then(() => (typeof (response) === 'function') ? response(xaddr, action, envelope, options) : response)
+        .then(result => {
+            if (typeof (result) === 'string' && /<([\w.-]+:)?Fault[\s>]/.test(result)) {
+                return {statusCode: 500, statusMessage: 'Internal Server Error', headers: {}, xml: result};
+            }
+
+            return result;
+        });
+};
+
+function createFault(subcode, reason) {
+    let soap = '';
+    soap += '<?xml version="1.0" encoding="UTF-8"?>';
+    soap += '<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope" xmlns:ter="http://www.onvif.org/ver10/error">';
+    soap += '<s:Body><s:Fault>';
+    soap += '<s:Code><s:Value>s:Receiver</s:Value><s:Subcode><s:Value>' + xmlBuilder.escapeText(subcode) + '</s:Value></s:Subcode></s:Code>';
+    soap += '<s:Reason><s:Text xml:lang="en">' + xmlBuilder.escapeText(reason) + '</s:Text></s:Reason>';
+    soap += '</s:Fault></s:Body>';
+    soap += '</s:Envelope>';
+    return soap;
+}
+
+module.exports = OnvifMemoryTransport;
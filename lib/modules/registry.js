@@ -0,0 +1,283 @@
+/* ------------------------------------------------------------------
+* node-onvif - registry.js
+*
+* Copyright (c) 2016 - 2017, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const Util = require('util');
+const EventEmitter = require('events').EventEmitter;
+const helpers = require('./helpers.js');
+const wsDiscovery = require('./ws-discovery.js');
+const JsonFileStore = require('./json-file-store.js');
+
+/* ------------------------------------------------------------------
+* Constructor: OnvifRegistry([params])
+* - params:
+*   - store | Object | optional | An object which has load() and
+*                                 save(records) methods returning Promises
+*   - file  | String | optional | The JSON file used by the default store
+*                                 (e.g., "./devices.json")
+*
+* Keeps the discovered devices across probes (and across restarts if a
+* store is given). A device is recognized by its URN, its MAC scope or
+* its serial number, so a device which got a new address or a new URN
+* is still the same record. A device which reports none of them (e.g.,
+* one found by the HTTP fallback of a sweep) is recognized by the host
+* of its xaddrs. The registry emits:
+*   - 'added'   : a device was seen for the first time (record)
+*   - 'changed' : a known device answered from new xaddrs
+*                 (record, previous xaddrs)
+*   - 'error'   : the store failed to save (only if a listener is attached)
+* ---------------------------------------------------------------- */
+function OnvifRegistry(params) {
+    params = params || {};
+
+    let errorMessage = '';
+    if (errorMessage = helpers.isInvalidValue(params, 'object', true)) {
+        throw new Error('The value of "params" was invalid: ' + errorMessage);
+    }
+
+    if ('store' in params && (!params['store'] || typeof (params['store'].load) !== 'function' || typeof (params['store'].save) !== 'function')) {
+        throw new Error('The "store" property was invalid: The store must have the load() and save() methods.');
+    }
+
+    if ('file' in params && (errorMessage = helpers.isInvalidValue(params['file'], 'string'))) {
+        throw new Error('The "file" property was invalid: ' + errorMessage);
+    }
+
+    this.store = params['store'] || (params['file'] ? new JsonFileStore(params['file']) : null);
+    this._records = [];
+    this._saving = Promise.resolve();
+    this._saveQueued = false;
+    this._onDevice = data => this.add(data);
+
+    EventEmitter.call(this);
+}
+
+Util.inherits(OnvifRegistry, EventEmitter);
+
+/* ------------------------------------------------------------------
+* Method: load()
+*
+* Reads the records from the store. The records in memory are replaced.
+* ---------------------------------------------------------------- */
+OnvifRegistry.prototype.load = function () {
+    if (!this.store) {
+        return Promise.resolve(this.getDeviceList());
+    }
+
+    return this.store.load()
+        .then(records => {
+            this._records = records.filter(record => record && record.id);
+            return this.getDeviceList();
+        });
+};
+
+/* ------------------------------------------------------------------
+* Method: save()
+*
+* Writes the records to the store. Saves are queued, so the store never
+* sees two of them at the same time.
+* ---------------------------------------------------------------- */
+OnvifRegistry.prototype.save = function () {
+    if (!this.store) {
+        return Promise.resolve();
+    }
+
+    const saving = this._saving
+        .catch(() => {
+        })
+        .then(() => this.store.save(this.getDeviceList()));
+    this._saving = saving;
+
+    return saving;
+};
+
+/* ------------------------------------------------------------------
+* Method: track(emitter)
+* - emitter: an OnvifDiscovery object, an OnvifSweep discovery or the
+*            Onvif object itself (for the Hello announcements)
+*
+* Adds every device the emitter reports. Returns the emitter.
+* ---------------------------------------------------------------- */
+OnvifRegistry.prototype.track = function (emitter) {
+    emitter.on('device', this._onDevice);
+    emitter.on('hello', this._onDevice);
+
+    return emitter;
+};
+
+/* ------------------------------------------------------------------
+* Method: untrack(emitter)
+* ---------------------------------------------------------------- */
+OnvifRegistry.prototype.untrack = function (emitter) {
+    emitter.removeListener('device', this._onDevice);
+    emitter.removeListener('hello', this._onDevice);
+
+    return emitter;
+};
+
+/* ------------------------------------------------------------------
+* Method: add(data)
+* - data: a device found by a probe (urn, xaddrs, scopes, ...). The
+*         optional `serialNumber` property (e.g., from
+*         getDeviceInformation()) is used to recognize the device too.
+*
+* Returns the record of the device.
+* ---------------------------------------------------------------- */
+OnvifRegistry.prototype.add = function (data) {
+    const now = Date.now();
+    const mac = getMacList(data);
+    const serialNumber = data.serialNumber || '';
+
+    let record = this._findRecord(data.urn, mac, serialNumber);
+    if (!record && !data.urn && mac.length === 0 && !serialNumber) {
+        record = this._findRecordByHost(data.xaddrs || []);
+    }
+    if (!record) {
+        record = {
+            id: wsDiscovery.createUuidV4(),
+            urn: data.urn || '',
+            mac: mac,
+            serialNumber: serialNumber,
+            xaddrs: (data.xaddrs || []).slice(),
+            firstSeen: now,
+            lastSeen: now
+        };
+        copyDeviceData(record, data);
+        this._records.push(record);
+
+        this.emit('added', record);
+        this._saveInBackground();
+        return record;
+    }
+
+    const previousXaddrs = record.xaddrs.slice();
+    const xaddrs = data.xaddrs || [];
+    // Only a device answering from none of the known xaddrs has moved.
+    // Otherwise it just answered over another address family.
+    const moved = xaddrs.length > 0 && xaddrs.every(xaddr => previousXaddrs.indexOf(xaddr) < 0);
+
+    record.xaddrs = moved ? xaddrs.slice() : mergeList(record.xaddrs, xaddrs);
+
+    record.urn = data.urn || record.urn;
+    record.mac = mergeList(record.mac, mac);
+    record.serialNumber = serialNumber || record.serialNumber;
+    record.lastSeen = now;
+    copyDeviceData(record, data);
+
+    if (moved) {
+        this.emit('changed', record, previousXaddrs);
+    }
+
+    this._saveInBackground();
+    return record;
+};
+
+/* ------------------------------------------------------------------
+* Method: get(key)
+* - key: the id, the URN, a MAC address or the serial number of a device
+* ---------------------------------------------------------------- */
+OnvifRegistry.prototype.get = function (key) {
+    return this._records.find(record => record.id === key) || this._findRecord(key, [normalizeMac(key)], key);
+};
+
+/* ------------------------------------------------------------------
+* Method: remove(key)
+* ---------------------------------------------------------------- */
+OnvifRegistry.prototype.remove = function (key) {
+    const record = this.get(key);
+    if (!record) {
+        return false;
+    }
+
+    this._records.splice(this._records.indexOf(record), 1);
+    this._saveInBackground();
+    return true;
+};
+
+/* ------------------------------------------------------------------
+* Method: getDeviceList()
+* ---------------------------------------------------------------- */
+OnvifRegistry.prototype.getDeviceList = function () {
+    return this._records.slice();
+};
+
+OnvifRegistry.prototype._findRecord = function (urn, mac, serialNumber) {
+    return (urn && this._records.find(record => record.urn === urn)) ||
+        this._records.find(record => mac.some(address => address && record.mac.indexOf(address) >= 0)) ||
+        (serialNumber && this._records.find(record => record.serialNumber === serialNumber)) ||
+        null;
+};
+
+OnvifRegistry.prototype._findRecordByHost = function (xaddrs) {
+    const hosts = getHostList(xaddrs);
+    if (hosts.length === 0) {
+        return null;
+    }
+
+    return this._records.find(record => getHostList(record.xaddrs).some(host => hosts.indexOf(host) >= 0)) || null;
+};
+
+// A burst of devices (e.g., a probe answered by a whole subnet) is
+// written at once: while a save is waiting in the queue, the later
+// changes just ride along with it since the list is read when it runs.
+OnvifRegistry.prototype._saveInBackground = function () {
+    if (!this.store || this._saveQueued) {
+        return;
+    }
+
+    this._saveQueued = true;
+    const saving = this._saving
+        .catch(() => {
+        })
+        .then(() => {
+            this._saveQueued = false;
+            return this.store.save(this.getDeviceList());
+        });
+    this._saving = saving;
+
+    saving.catch(error => {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+    });
+};
+
+function copyDeviceData(record, data) {
+    ['name', 'hardware', 'location', 'types', 'scopes', 'scopeInfo', 'interface'].forEach(name => {
+        if (name in data) {
+            record[name] = data[name];
+        }
+    });
+}
+
+function getMacList(data) {
+    const scopeInfo = data.scopeInfo || (data.scopes ? wsDiscovery.parseScopeInfo(data.scopes) : null);
+    return scopeInfo ? scopeInfo.mac.map(normalizeMac).filter(mac => mac) : [];
+}
+
+// "00-11-22-AA-BB-CC", "00:11:22:aa:bb:cc" and "001122aabbcc" are the same
+function normalizeMac(mac) {
+    const hex = (typeof (mac) === 'string') ? mac.replace(/[^0-9a-f]/gi, '').toLowerCase() : '';
+    return (hex.length === 12) ? hex.match(/../g).join(':') : '';
+}
+
+function getHostList(xaddrs) {
+    const hosts = [];
+    xaddrs.forEach(xaddr => {
+        try {
+            hosts.push(helpers.parseUrl(xaddr).hostname.toLowerCase());
+        } catch (e) {
+        }
+    });
+    return hosts;
+}
+
+function mergeList(list, items) {
+    return list.concat(items.filter(item => list.indexOf(item) < 0));
+}
+
+module.exports = OnvifRegistry;
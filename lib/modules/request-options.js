@@ -0,0 +1,208 @@
+/* ------------------------------------------------------------------
+* node-onvif - request-options.js
+*
+* Copyright (c) 2016 - 2017, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const helpers = require('./helpers.js');
+const errors = require('./errors.js');
+const abortSignal = require('./abort-signal.js');
+
+const REQUEST_RETRY_DELAY = 200; // ms
+const REQUEST_MAX_RETRY_DELAY = 5000; // ms
+const REQUEST_RETRY_ON = ['network', 'timeout', '5xx'];
+
+// Sending these twice does not do the same as sending them once
+const NON_IDEMPOTENT_COMMANDS = /^(SystemReboot|SetSystemFactoryDefault|StartFirmwareUpgrade|UpgradeSystemFirmware|RestoreSystem|StartSystemRestore|Create\w+|Delete\w+|AddScopes|RemoveScopes|SetPreset|RemovePreset|RelativeMove|Subscribe|CreatePullPointSubscription|Unsubscribe|SendAuxiliaryCommand)$/;
+
+/* ------------------------------------------------------------------
+* Function: parseRequestOptions(options[, allowCommands])
+* - options:
+*   - timeout            | Integer | optional | ms to wait for the response
+*                                               (Default 3000)
+*   - retries            | Integer | optional | How many times a failed request
+*                                               is sent again (Default 0)
+*   - backoff            | String/Function | optional | "exponential" (Default),
+*                                               "linear", "constant", or a function
+*                                               which returns the delay in ms
+*                                               for the attempt (1, 2, ...)
+*   - retryDelay         | Integer | optional | The first delay in ms (Default 200)
+*   - maxRetryDelay      | Integer | optional | The longest delay in ms (Default 5000)
+*   - retryOn            | Array/Function | optional | The errors to retry: "network",
+*                                               "timeout" and/or "5xx" (Default all),
+*                                               or a function which gets the error
+*                                               and returns true to retry
+*   - retryNonIdempotent | Boolean | optional | Retry commands such as SystemReboot
+*                                               and RelativeMove too (Default false)
+*   - maxResponseBytes   | Integer | optional | The size of a response in bytes
+*                                               (Default 4 MiB)
+*   - maxXmlDepth        | Integer | optional | How deeply the XML elements of a
+*                                               response may be nested (Default 64)
+*   - maxXmlAttributes   | Integer | optional | The attributes an XML element of a
+*                                               response may have (Default 64)
+*   - signal             | AbortSignal | optional | Aborts the request, which is
+*                                               rejected with an OnvifAbortError
+*   - commands           | Object  | optional | The options above for each command
+*                                               (e.g., {"GetPresets": {"timeout": 8000}}),
+*                                               only if `allowCommands` is true
+*
+* Returns a validated copy of the options.
+* ---------------------------------------------------------------- */
+function parseRequestOptions(options, allowCommands) {
+    if (options === undefined || options === null) {
+        return {};
+    }
+
+    let errorMessage = '';
+    if (errorMessage = helpers.isInvalidValue(options, 'object', true)) {
+        throw new Error('The request options were invalid: ' + errorMessage);
+    }
+
+    const parsed = {};
+
+    [
+        ['timeout', 1], ['retries', 0], ['retryDelay', 0], ['maxRetryDelay', 0],
+        ['maxResponseBytes', 1], ['maxXmlDepth', 1], ['maxXmlAttributes', 0]
+    ].forEach(([name, min]) => {
+        if (!(name in options)) {
+            return;
+        }
+
+        if (errorMessage = helpers.isInvalidValue(options[name], 'integer')) {
+            throw new Error(`The "${name}" property was invalid: ${errorMessage}`);
+        } else if (options[name] < min) {
+            throw new Error(`The "${name}" property was invalid: The value must be ${min} or greater.`);
+        }
+
+        parsed[name] = options[name];
+    });
+
+    if ('backoff' in options) {
+        if (typeof (options['backoff']) !== 'function' && !/^(exponential|linear|constant)$/.test(options['backoff'])) {
+            throw new Error('The "backoff" property must be "exponential", "linear", "constant" or a function.');
+        }
+
+        parsed['backoff'] = options['backoff'];
+    }
+
+    if ('retryOn' in options) {
+        const retryOn = options['retryOn'];
+        if (typeof (retryOn) !== 'function' && (!Array.isArray(retryOn) || retryOn.some(name => REQUEST_RETRY_ON.indexOf(name) < 0))) {
+            throw new Error('The "retryOn" property must be a function or an Array of "network", "timeout" and "5xx".');
+        }
+
+        parsed['retryOn'] = retryOn;
+    }
+
+    if ('retryNonIdempotent' in options) {
+        if (errorMessage = helpers.isInvalidValue(options['retryNonIdempotent'], 'boolean')) {
+            throw new Error('The "retryNonIdempotent" property was invalid: ' + errorMessage);
+        }
+
+        parsed['retryNonIdempotent'] = options['retryNonIdempotent'];
+    }
+
+    if (options['signal'] !== undefined && options['signal'] !== null) {
+        if (errorMessage = abortSignal.isInvalidSignal(options['signal'])) {
+            throw new Error('The "signal" property was invalid: ' + errorMessage);
+        }
+
+        parsed['signal'] = options['signal'];
+    }
+
+    if ('commands' in options) {
+        if (!allowCommands) {
+            throw new Error('The "commands" property can not be nested.');
+        } else if (errorMessage = helpers.isInvalidValue(options['commands'], 'object', true)) {
+            throw new Error('The "commands" property was invalid: ' + errorMessage);
+        }
+
+        parsed['commands'] = {};
+        Object.keys(options['commands']).forEach(methodName => {
+            parsed['commands'][methodName] = parseRequestOptions(options['commands'][methodName], false);
+        });
+    }
+
+    return parsed;
+}
+
+/* ------------------------------------------------------------------
+* Function: resolveRequestOptions(deviceOptions, methodName, callOptions, defaultTimeout)
+*
+* Merges the options of the device, the ones for the command and the
+* ones for the call, in this order, over the defaults.
+* ---------------------------------------------------------------- */
+function resolveRequestOptions(deviceOptions, methodName, callOptions, defaultTimeout) {
+    deviceOptions = deviceOptions || {};
+    const commandOptions = (deviceOptions.commands && deviceOptions.commands[methodName]) || {};
+    const resolved = Object.assign({
+        timeout: defaultTimeout,
+        retries: 0,
+        backoff: 'exponential',
+        retryDelay: REQUEST_RETRY_DELAY,
+        maxRetryDelay: REQUEST_MAX_RETRY_DELAY,
+        retryOn: REQUEST_RETRY_ON,
+        retryNonIdempotent: false
+    }, helpers.XML_LIMITS, deviceOptions, commandOptions, parseRequestOptions(callOptions, false));
+
+    delete resolved.commands;
+    return resolved;
+}
+
+/* ------------------------------------------------------------------
+* Function: isRetryable(error, methodName, options)
+* ---------------------------------------------------------------- */
+function isRetryable(error, methodName, options) {
+    if (!options.retryNonIdempotent && !isIdempotent(methodName)) {
+        return false;
+    }
+
+    if (typeof (options.retryOn) === 'function') {
+        return !!options.retryOn(error);
+    }
+
+    if (error instanceof errors.OnvifTimeoutError) {
+        return options.retryOn.indexOf('timeout') >= 0;
+    } else if (error instanceof errors.OnvifNetworkError) {
+        return options.retryOn.indexOf('network') >= 0;
+    } else if (error instanceof errors.OnvifHttpError) {
+        // A SOAP fault is the answer of the device, sending it again would not change it
+        return error.httpStatus >= 500 && options.retryOn.indexOf('5xx') >= 0;
+    }
+
+    return false;
+}
+
+/* ------------------------------------------------------------------
+* Function: getRetryDelay(options, attempt)
+* - attempt: 1 for the first retry, 2 for the second one, ...
+* ---------------------------------------------------------------- */
+function getRetryDelay(options, attempt) {
+    let delay = options.retryDelay;
+    if (typeof (options.backoff) === 'function') {
+        delay = options.backoff(attempt);
+    } else if (options.backoff === 'exponential') {
+        delay = options.retryDelay * Math.pow(2, attempt - 1);
+    } else if (options.backoff === 'linear') {
+        delay = options.retryDelay * attempt;
+    }
+
+    return Math.max(0, Math.min(delay || 0, options.maxRetryDelay));
+}
+
+/* ------------------------------------------------------------------
+* Function: isIdempotent(methodName)
+* ---------------------------------------------------------------- */
+function isIdempotent(methodName) {
+    return !NON_IDEMPOTENT_COMMANDS.test(methodName);
+}
+
+module.exports = {
+    parseRequestOptions,
+    resolveRequestOptions,
+    isRetryable,
+    getRetryDelay,
+    isIdempotent
+};
@@ -6,9 +6,12 @@
 * Date: 2016-10-02
 * ---------------------------------------------------------------- */
 'use strict';
-const URL = require('url').URL;
 const mOnvifSoap = require('./soap.js');
 const helpers = require('./helpers.js');
+const mXmlBuilder = require('./xml-builder.js');
+const tlsOptions = require('./tls-options.js');
+const requestOptions = require('./request-options.js');
+const OnvifInterceptors = require('./interceptors.js');
 
 /* ------------------------------------------------------------------
 * Constructor: OnvifServiceDevice(params)
@@ -16,14 +19,33 @@ const helpers = require('./helpers.js');
 *              (Required)
 *  - user  : User name (Optional)
 *  - pass  : Password (Optional)
+*  - options : (Optional)
+*    - tls : TLS options for an "https" xaddr (see tls-options.js)
+*    - pool: the OnvifConnectionPool of the device
+*    - requestOptions: timeouts and retries (see request-options.js)
+*    - interceptors: the OnvifInterceptors of the device
+*    - transport: the object which sends the SOAP requests (see soap.js)
+*    - timeSync: called when a request may have failed because
+*                the clock of the device drifted (see soap.js)
+*
+* The `options` argument of the command methods has the options of the
+* request, e.g., {signal: an AbortSignal, timeout: 5000} (see
+* parseRequestOptions() in request-options.js).
 * ---------------------------------------------------------------- */
-function OnvifServiceDevice(xaddr, user, pass) {
+function OnvifServiceDevice(xaddr, user, pass, options) {
     if (!helpers.validateXAddr(xaddr)) helpers.throwLast();
 
-    this.oxaddr = new URL(xaddr);
+    this.oxaddr = helpers.parseUrl(xaddr);
     this.user = user || '';
     this.pass = pass || '';
     this.oxaddr.auth = this.user ? `${this.user}:${this.pass}` : '';
+    this.oxaddr.tls = tlsOptions.parseTlsOptions((options || {}).tls);
+    this.oxaddr.pool = (options || {}).pool || null;
+    this.oxaddr.requestOptions = requestOptions.parseRequestOptions((options || {}).requestOptions, true);
+    this.interceptors = new OnvifInterceptors((options || {}).interceptors);
+    this.oxaddr.interceptors = this.interceptors;
+    this.oxaddr.transport = (options || {}).transport || null;
+    this.oxaddr.timeSync = (options || {}).timeSync || null;
     this.timeDifference = 0;
     this.namespaces = [
 		'xmlns:tds="http://www.onvif.org/ver10/device/wsdl"',
@@ -31,8 +53,38 @@ function OnvifServiceDevice(xaddr, user, pass) {
     ];
 }
 
-OnvifServiceDevice.prototype.sendRequest = function (endpoint, soapBody) {
-    return mOnvifSoap.requestCommand(this.oxaddr, endpoint, this._createRequestSoap(soapBody));
+OnvifServiceDevice.prototype._buildBody = function (node) {
+    return mXmlBuilder.build(node, this.namespaces);
+};
+
+OnvifServiceDevice.prototype.sendRequest = function (endpoint, soapBody, options) {
+    return mOnvifSoap.requestCommand(this.oxaddr, endpoint, () => this._createRequestSoap(soapBody), options);
+};
+
+/* ------------------------------------------------------------------
+* Method: setAuth(user, pass)
+* ---------------------------------------------------------------- */
+OnvifServiceDevice.prototype.setAuth = function (user, pass) {
+    this.user = user || '';
+    this.pass = pass || '';
+    this.oxaddr.auth = this.user ? `${this.user}:${this.pass}` : '';
+};
+
+/* ------------------------------------------------------------------
+* Method: addInterceptor(interceptor)
+* - interceptor: an object which has onRequest(), onResponse() and/or
+*                onError() (see interceptors.js). It only sees the
+*                requests of this service.
+* ---------------------------------------------------------------- */
+OnvifServiceDevice.prototype.addInterceptor = function (interceptor) {
+    this.interceptors.add(interceptor);
+};
+
+/* ------------------------------------------------------------------
+* Method: removeInterceptor(interceptor)
+* ---------------------------------------------------------------- */
+OnvifServiceDevice.prototype.removeInterceptor = function (interceptor) {
+    this.interceptors.remove(interceptor);
 };
 
 OnvifServiceDevice.prototype._createRequestSoap = function(body) {
@@ -60,17 +112,17 @@ OnvifServiceDevice.prototype._parseSystemDateAndTime = function (data) {
         type: data['DateTimeType'],
 		daylightSavings: data['DaylightSavings'] === 'true',
 		timeZone: ('TimeZone' in data) ? data['TimeZone']['TZ'] : null,
-		utcDateTime: ('UTCDateTime' in data) ? new Date(
+		utcDateTime: ('UTCDateTime' in data) ? new Date(Date.UTC(
 			parseInt(data['UTCDateTime']['Date']['Year']),
 			parseInt(data['UTCDateTime']['Date']['Month']) - 1,
 			parseInt(data['UTCDateTime']['Date']['Day']),
 			parseInt(data['UTCDateTime']['Time']['Hour']),
 			parseInt(data['UTCDateTime']['Time']['Minute']),
 			parseInt(data['UTCDateTime']['Time']['Second']),
-		) : null,
+		)) : null,
         localDateTime: ('LocalDateTime' in data) ? new Date(
 			parseInt(data['LocalDateTime']['Date']['Year']),
-			parseInt(data['UTCDateTime']['Date']['Month']) - 1,
+			parseInt(data['LocalDateTime']['Date']['Month']) - 1,
 			parseInt(data['LocalDateTime']['Date']['Day']),
 			parseInt(data['LocalDateTime']['Time']['Hour']),
 			parseInt(data['LocalDateTime']['Time']['Minute']),
@@ -80,26 +132,30 @@ OnvifServiceDevice.prototype._parseSystemDateAndTime = function (data) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getCapabilities()
+* Method: getCapabilities([options])
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.getCapabilities = function() {
-    let soapBody = '';
-    soapBody += '<tds:GetCapabilities>';
-    soapBody += '<tds:Category>All</tds:Category>';
-    soapBody += '</tds:GetCapabilities>';
-
-	return this.sendRequest('GetCapabilities', soapBody)
+OnvifServiceDevice.prototype.getCapabilities = function(options) {
+    let soapBody = this._buildBody({
+        'tds:GetCapabilities': {
+            'tds:Category': 'All'
+        }
+    });
+
+	return this.sendRequest('GetCapabilities', soapBody, options)
 		.then(result => result['Capabilities']);
 };
 
 /* ------------------------------------------------------------------
-* Method: getWsdlUrl([callback])
+* Method: getWsdlUrl([options][, callback])
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.getWsdlUrl = function(callback) {
+OnvifServiceDevice.prototype.getWsdlUrl = function(options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
-		let soap_body = '<tds:GetWsdlUrl/>';
-		let soap = this._createRequestSoap(soap_body);
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetWsdlUrl', soap).then((result) => {
+		let soap_body = this._buildBody({'tds:GetWsdlUrl': {}});
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetWsdlUrl', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -117,13 +173,16 @@ OnvifServiceDevice.prototype.getWsdlUrl = function(callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getDiscoveryMode(callback)
+* Method: getDiscoveryMode([options][, callback])
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.getDiscoveryMode = function(callback) {
+OnvifServiceDevice.prototype.getDiscoveryMode = function(options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
-		let soap_body = '<tds:GetDiscoveryMode/>';
-		let soap = this._createRequestSoap(soap_body);
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetDiscoveryMode', soap).then((result) => {
+		let soap_body = this._buildBody({'tds:GetDiscoveryMode': {}});
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetDiscoveryMode', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -141,13 +200,16 @@ OnvifServiceDevice.prototype.getDiscoveryMode = function(callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getScopes([callback])
+* Method: getScopes([options][, callback])
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.getScopes = function(callback) {
+OnvifServiceDevice.prototype.getScopes = function(options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
-		let soap_body = '<tds:GetScopes/>';
-		let soap = this._createRequestSoap(soap_body);
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetScopes', soap).then((result) => {
+		let soap_body = this._buildBody({'tds:GetScopes': {}});
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetScopes', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -165,7 +227,7 @@ OnvifServiceDevice.prototype.getScopes = function(callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: setScopes(params[, callback])
+* Method: setScopes(params[, options][, callback])
 * - params:
 *   - Scopes  | Array  | required | a list of URI
 *
@@ -181,7 +243,11 @@ OnvifServiceDevice.prototype.getScopes = function(callback) {
 *
 * {'Scopes': []}
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.setScopes = function(params, callback) {
+OnvifServiceDevice.prototype.setScopes = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -195,15 +261,13 @@ OnvifServiceDevice.prototype.setScopes = function(params, callback) {
 			return;
 		}
 
-		let soap_body = '';
-		soap_body += '<tds:SetScopes>';
-		scope_list.forEach((s) => {
-			soap_body += '<tds:Scopes>' + s + '</tds:Scopes>';
+		let soap_body = this._buildBody({
+			'tds:SetScopes': {
+				'tds:Scopes': scope_list
+			}
 		});
-		soap_body += '</tds:SetScopes>';
-		let soap = this._createRequestSoap(soap_body);
 
-		mOnvifSoap.requestCommand(this.oxaddr, 'SetScopes', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'SetScopes', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -221,7 +285,7 @@ OnvifServiceDevice.prototype.setScopes = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: addScopes(params[, callback])
+* Method: addScopes(params[, options][, callback])
 * - params:
 *   - Scopes  | Array  | required | a list of URI
 *
@@ -232,7 +296,11 @@ OnvifServiceDevice.prototype.setScopes = function(params, callback) {
 *   ]
 * }
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.addScopes = function(params, callback) {
+OnvifServiceDevice.prototype.addScopes = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -246,15 +314,13 @@ OnvifServiceDevice.prototype.addScopes = function(params, callback) {
 			return;
 		}
 
-		let soap_body = '';
-		soap_body += '<tds:AddScopes>';
-		scope_list.forEach((s) => {
-			soap_body += '<tds:ScopeItem>' + s + '</tds:ScopeItem>';
+		let soap_body = this._buildBody({
+			'tds:AddScopes': {
+				'tds:ScopeItem': scope_list
+			}
 		});
-		soap_body += '</tds:AddScopes>';
-		let soap = this._createRequestSoap(soap_body);
 
-		mOnvifSoap.requestCommand(this.oxaddr, 'AddScopes', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'AddScopes', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -272,7 +338,7 @@ OnvifServiceDevice.prototype.addScopes = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: removeScopes(params[, callback])
+* Method: removeScopes(params[, options][, callback])
 * - params:
 *   - Scopes  | Array  | required | a list of URI
 *
@@ -283,7 +349,11 @@ OnvifServiceDevice.prototype.addScopes = function(params, callback) {
 *   ]
 * }
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.removeScopes = function(params, callback) {
+OnvifServiceDevice.prototype.removeScopes = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -297,15 +367,13 @@ OnvifServiceDevice.prototype.removeScopes = function(params, callback) {
 			return;
 		}
 
-		let soap_body = '';
-		soap_body += '<tds:RemoveScopes>';
-		scope_list.forEach((s) => {
-			soap_body += '<tds:ScopeItem>' + s + '</tds:ScopeItem>';
+		let soap_body = this._buildBody({
+			'tds:RemoveScopes': {
+				'tds:ScopeItem': scope_list
+			}
 		});
-		soap_body += '</tds:RemoveScopes>';
-		let soap = this._createRequestSoap(soap_body);
 
-		mOnvifSoap.requestCommand(this.oxaddr, 'RemoveScopes', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'RemoveScopes', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -323,13 +391,16 @@ OnvifServiceDevice.prototype.removeScopes = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getHostname([callback])
+* Method: getHostname([options][, callback])
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.getHostname = function(callback) {
+OnvifServiceDevice.prototype.getHostname = function(options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
-		let soap_body = '<tds:GetHostname/>';
-		let soap = this._createRequestSoap(soap_body);
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetHostname', soap).then((result) => {
+		let soap_body = this._buildBody({'tds:GetHostname': {}});
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetHostname', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -347,13 +418,17 @@ OnvifServiceDevice.prototype.getHostname = function(callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: setHostname(params[, callback])
+* Method: setHostname(params[, options][, callback])
 * - params:
 *   - Name  | string  | required | a host name
 *
 * {'Name': 'test'}
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.setHostname = function(params, callback) {
+OnvifServiceDevice.prototype.setHostname = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -367,13 +442,13 @@ OnvifServiceDevice.prototype.setHostname = function(params, callback) {
 			return;
 		}
 
-		let soap_body = '';
-		soap_body += '<tds:SetHostname>';
-		soap_body += '<tds:Name>' + hostname + '</tds:Name>';
-		soap_body += '</tds:SetHostname>';
-		let soap = this._createRequestSoap(soap_body);
+		let soap_body = this._buildBody({
+			'tds:SetHostname': {
+				'tds:Name': hostname
+			}
+		});
 
-		mOnvifSoap.requestCommand(this.oxaddr, 'SetHostname', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'SetHostname', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -391,13 +466,16 @@ OnvifServiceDevice.prototype.setHostname = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getDNS([callback])
+* Method: getDNS([options][, callback])
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.getDNS = function(callback) {
+OnvifServiceDevice.prototype.getDNS = function(options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
-		let soap_body = '<tds:GetDNS/>';
-		let soap = this._createRequestSoap(soap_body);
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetDNS', soap).then((result) => {
+		let soap_body = this._buildBody({'tds:GetDNS': {}});
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetDNS', () => this._createRequestSoap(soap_body), options).then((result) => {
 			try {
 				let di = result['data']['DNSInformation'];
 				if(!di['SearchDomain']) {
@@ -429,7 +507,7 @@ OnvifServiceDevice.prototype.getDNS = function(callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: setDNS(params[, callback])
+* Method: setDNS(params[, options][, callback])
 * - params:
 *   - FromDHCP      | boolean | required | true or false
 *   - SearchDomain  | Array   | optional | a list of search domains
@@ -447,7 +525,11 @@ OnvifServiceDevice.prototype.getDNS = function(callback) {
 *   ]
 * }
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.setDNS = function(params, callback) {
+OnvifServiceDevice.prototype.setDNS = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -509,37 +591,26 @@ OnvifServiceDevice.prototype.setDNS = function(params, callback) {
 			}
 		}
 
-		let soap_body = '';
-		soap_body += '<tds:SetDNS>';
-		if('FromDHCP' in params) {
-			soap_body += '<tds:FromDHCP>' + params['FromDHCP'] + '</tds:FromDHCP>';
-		}
-		if('SearchDomain' in params) {
-			params['SearchDomain'].forEach((s) => {
-				soap_body += '<tds:SearchDomain>' + s + '</tds:SearchDomain>';
+		let dns_manual = null;
+		if('DNSManual' in params) {
+			dns_manual = (params['DNSManual'].length === 0) ? {} : params['DNSManual'].map((o) => {
+				return {
+					'tt:Type': o['Type'],
+					'tt:IPv4Address': (o['Type'] === 'IPv4') ? o['IPv4Address'] : null,
+					'tt:IPv6Address': (o['Type'] === 'IPv4') ? null : o['IPv6Address']
+				};
 			});
 		}
-		if('DNSManual' in params) {
-			if(params['DNSManual'].length === 0) {
-				soap_body += '<tds:DNSManual></tds:DNSManual>';
-			} else {
-				params['DNSManual'].forEach((o) => {
-					soap_body += '<tds:DNSManual>';
-					soap_body += '<tt:Type>' + o['Type'] + '</tt:Type>';
-					if(o['Type'] === 'IPv4') {
-						soap_body += '<tt:IPv4Address>' + o['IPv4Address'] + '</tt:IPv4Address>';
-					} else {
-						soap_body += '<tt:IPv6Address>' + o['IPv6Address'] + '</tt:IPv6Address>';
-					}
-					soap_body += '</tds:DNSManual>';
-				});
+		let soap_body = this._buildBody({
+			'tds:SetDNS': {
+				'tds:FromDHCP': params['FromDHCP'],
+				'tds:SearchDomain': params['SearchDomain'],
+				'tds:DNSManual': dns_manual
 			}
-		}
-		soap_body += '</tds:SetDNS>';
+		});
 
-		let soap = this._createRequestSoap(soap_body);
 
-		mOnvifSoap.requestCommand(this.oxaddr, 'SetDNS', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'SetDNS', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -557,13 +628,16 @@ OnvifServiceDevice.prototype.setDNS = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getNetworkInterfaces([callback])
+* Method: getNetworkInterfaces([options][, callback])
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.getNetworkInterfaces = function(callback) {
+OnvifServiceDevice.prototype.getNetworkInterfaces = function(options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
-		let soap_body = '<tds:GetNetworkInterfaces/>';
-		let soap = this._createRequestSoap(soap_body);
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetNetworkInterfaces', soap).then((result) => {
+		let soap_body = this._buildBody({'tds:GetNetworkInterfaces': {}});
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetNetworkInterfaces', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -581,13 +655,16 @@ OnvifServiceDevice.prototype.getNetworkInterfaces = function(callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getNetworkProtocols([callback])
+* Method: getNetworkProtocols([options][, callback])
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.getNetworkProtocols = function(callback) {
+OnvifServiceDevice.prototype.getNetworkProtocols = function(options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
-		let soap_body = '<tds:GetNetworkProtocols/>';
-		let soap = this._createRequestSoap(soap_body);
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetNetworkProtocols', soap).then((result) => {
+		let soap_body = this._buildBody({'tds:GetNetworkProtocols': {}});
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetNetworkProtocols', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -605,7 +682,7 @@ OnvifServiceDevice.prototype.getNetworkProtocols = function(callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: setNetworkProtocols(params[, callback])
+* Method: setNetworkProtocols(params[, options][, callback])
 * - params:
 *   - NetworkProtocols | Array   | required | a list of protocols
 *     - Name           | String  | required |
@@ -620,7 +697,11 @@ OnvifServiceDevice.prototype.getNetworkProtocols = function(callback) {
 * }
 *
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.setNetworkProtocols = function(params, callback) {
+OnvifServiceDevice.prototype.setNetworkProtocols = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -672,20 +753,18 @@ OnvifServiceDevice.prototype.setNetworkProtocols = function(params, callback) {
 			}
 		}
 
-		let soap_body = '';
-		soap_body += '<tds:SetNetworkProtocols>';
-		params['NetworkProtocols'].forEach((o) => {
-			soap_body += '<tds:NetworkProtocols>';
-			for(let k in o) {
-				if(k.match(/^(Name|Enabled|Port)$/)) {
-					soap_body += '<tt:' + k + '>' + o[k] + '</tt:' + k + '>';
-				}
+		let soap_body = this._buildBody({
+			'tds:SetNetworkProtocols': {
+				'tds:NetworkProtocols': params['NetworkProtocols'].map((o) => {
+					return {
+						'tt:Name': o['Name'],
+						'tt:Enabled': o['Enabled'],
+						'tt:Port': o['Port']
+					};
+				})
 			}
-			soap_body += '</tds:NetworkProtocols>';
 		});
-		soap_body += '</tds:SetNetworkProtocols>';
-		let soap = this._createRequestSoap(soap_body);
-		mOnvifSoap.requestCommand(this.oxaddr, 'SetNetworkProtocols', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'SetNetworkProtocols', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -703,13 +782,16 @@ OnvifServiceDevice.prototype.setNetworkProtocols = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getNetworkDefaultGateway([callback])
+* Method: getNetworkDefaultGateway([options][, callback])
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.getNetworkDefaultGateway = function(callback) {
+OnvifServiceDevice.prototype.getNetworkDefaultGateway = function(options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
-		let soap_body = '<tds:GetNetworkDefaultGateway/>';
-		let soap = this._createRequestSoap(soap_body);
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetNetworkDefaultGateway', soap).then((result) => {
+		let soap_body = this._buildBody({'tds:GetNetworkDefaultGateway': {}});
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetNetworkDefaultGateway', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -727,7 +809,7 @@ OnvifServiceDevice.prototype.getNetworkDefaultGateway = function(callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: setNetworkDefaultGateway(params[, callback])
+* Method: setNetworkDefaultGateway(params[, options][, callback])
 * - params:
 *   - NetworkGateway | Array | required | a list of IP addresses of gateways
 *
@@ -739,7 +821,11 @@ OnvifServiceDevice.prototype.getNetworkDefaultGateway = function(callback) {
 * }
 *
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.setNetworkDefaultGateway = function(params, callback) {
+OnvifServiceDevice.prototype.setNetworkDefaultGateway = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -772,19 +858,15 @@ OnvifServiceDevice.prototype.setNetworkDefaultGateway = function(params, callbac
 			}
 		}
 
-		let soap_body = '';
-		soap_body += '<tds:SetNetworkDefaultGateway>';
-		params['NetworkGateway'].forEach((o) => {
-			for(let k in o) {
-				if(k.match(/^(IPv4Address|IPv6Address)$/)) {
-					soap_body += '<tds:' + k + '>' + o[k] + '</tds:' + k + '>';
-				}
+		let gateway_list = params['NetworkGateway'];
+		let soap_body = this._buildBody({
+			'tds:SetNetworkDefaultGateway': {
+				'tds:IPv4Address': gateway_list.filter(o => 'IPv4Address' in o).map(o => o['IPv4Address']),
+				'tds:IPv6Address': gateway_list.filter(o => 'IPv6Address' in o).map(o => o['IPv6Address'])
 			}
 		});
-		soap_body += '</tds:SetNetworkDefaultGateway>';
-		let soap = this._createRequestSoap(soap_body);
 
-		mOnvifSoap.requestCommand(this.oxaddr, 'SetNetworkDefaultGateway', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'SetNetworkDefaultGateway', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -802,27 +884,47 @@ OnvifServiceDevice.prototype.setNetworkDefaultGateway = function(params, callbac
 };
 
 /* ------------------------------------------------------------------
-* Method: getDeviceInformation()
+* Method: getDeviceInformation([options])
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.getDeviceInformation = function() {
-	let soapBody = '<tds:GetDeviceInformation/>';
+OnvifServiceDevice.prototype.getDeviceInformation = function(options) {
+	let soapBody = this._buildBody({'tds:GetDeviceInformation': {}});
 
-	return this.sendRequest('GetDeviceInformation', soapBody);
+	return this.sendRequest('GetDeviceInformation', soapBody, options);
 };
 
 /* ------------------------------------------------------------------
-* Method: getSystemDateAndTime()
+* Method: getSystemDateAndTime([options])
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.getSystemDateAndTime = function() {
-    let soapBody = '<tds:GetSystemDateAndTime/>';
+OnvifServiceDevice.prototype.getSystemDateAndTime = function(options) {
+    let soapBody = this._buildBody({'tds:GetSystemDateAndTime': {}});
 
-    return this.sendRequest('GetSystemDateAndTime', soapBody)
+    // Sent without the WS-Security header (Access Class: PRE_AUTH), so that
+    // the time can be read even while the clock of the device is off
+    const createSoap = () => mOnvifSoap.createRequestSoap({
+        'body': soapBody,
+        'xmlns': this.namespaces
+    });
+
+    return mOnvifSoap.requestCommand(this.oxaddr, 'GetSystemDateAndTime', createSoap, options)
         .then(data => this._parseSystemDateAndTime(data['SystemDateAndTime']));
 };
 
+/* ------------------------------------------------------------------
+* Method: getEndpointReference([options])
+*
+* Resolves with the endpoint reference (e.g. "urn:uuid:...") which the
+* device also announces through WS-Discovery.
+* ---------------------------------------------------------------- */
+OnvifServiceDevice.prototype.getEndpointReference = function(options) {
+    let soapBody = this._buildBody({'tds:GetEndpointReference': {}});
+
+    return this.sendRequest('GetEndpointReference', soapBody, options)
+        .then(data => data['GUID']);
+};
+
 
 /* ------------------------------------------------------------------
-* Method: setSystemDateAndTime(params[, callback])
+* Method: setSystemDateAndTime(params[, options][, callback])
 * - params:
 *   - DateTimeType    | string  | required | "NTP" or "Manual".
 *   - DaylightSavings | boolean | required | true or false.
@@ -831,7 +933,11 @@ OnvifServiceDevice.prototype.getSystemDateAndTime = function() {
 *
 * Setting the "UTCDateTime" does not work well for now.
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.setSystemDateAndTime = function(params, callback) {
+OnvifServiceDevice.prototype.setSystemDateAndTime = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -870,34 +976,30 @@ OnvifServiceDevice.prototype.setSystemDateAndTime = function(params, callback) {
 			}
 		}
 	
-		let soap_body = '';
-		soap_body += '<tds:SetSystemDateAndTime>';
-		soap_body += '<tds:DateTimeType>' + params['DateTimeType'] + '</tds:DateTimeType>';
-		soap_body += '<tds:DaylightSavings>' + params['DaylightSavings'] + '</tds:DaylightSavings>';
-		if(params['TimeZone']) {
-			soap_body += '<tds:TimeZone>';
-			soap_body +=   '<tt:TZ>' + params['TimeZone'] + '</tt:TZ>';
-			soap_body += '</tds:TimeZone>';
-		}
-		if(params['UTCDateTime']) {
-			let dt = params['UTCDateTime'];
-			soap_body += '<tds:UTCDateTime>';
-			soap_body +=   '<tt:Time>';
-			soap_body +=     '<tt:Hour>' + dt.getUTCHours() + '</tt:Hour>';
-			soap_body +=     '<tt:Minute>' + dt.getUTCMinutes() + '</tt:Minute>';
-			soap_body +=     '<tt:Second>' + dt.getUTCSeconds() + '</tt:Second>';
-			soap_body +=   '</tt:Time>';
-			soap_body +=   '<tt:Date>';
-			soap_body +=     '<tt:Year>' + dt.getUTCFullYear() + '</tt:Year>';
-			soap_body +=     '<tt:Month>' + (dt.getUTCMonth() + 1) + '</tt:Month>';
-			soap_body +=     '<tt:Day>' + dt.getUTCDate() + '</tt:Day>';
-			soap_body +=   '</tt:Date>';
-			soap_body += '</tds:UTCDateTime>';
-		}
-		soap_body += '</tds:SetSystemDateAndTime>';
-		let soap = this._createRequestSoap(soap_body);
+		let dt = params['UTCDateTime'];
+		let soap_body = this._buildBody({
+			'tds:SetSystemDateAndTime': {
+				'tds:DateTimeType': params['DateTimeType'],
+				'tds:DaylightSavings': params['DaylightSavings'],
+				'tds:TimeZone': !params['TimeZone'] ? null : {
+					'tt:TZ': params['TimeZone']
+				},
+				'tds:UTCDateTime': !dt ? null : {
+					'tt:Time': {
+						'tt:Hour': dt.getUTCHours(),
+						'tt:Minute': dt.getUTCMinutes(),
+						'tt:Second': dt.getUTCSeconds()
+					},
+					'tt:Date': {
+						'tt:Year': dt.getUTCFullYear(),
+						'tt:Month': dt.getUTCMonth() + 1,
+						'tt:Day': dt.getUTCDate()
+					}
+				}
+			}
+		});
 	
-		mOnvifSoap.requestCommand(this.oxaddr, 'SetSystemDateAndTime', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'SetSystemDateAndTime', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -915,13 +1017,16 @@ OnvifServiceDevice.prototype.setSystemDateAndTime = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: reboot([callback])
+* Method: reboot([options][, callback])
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.reboot = function(callback) {
+OnvifServiceDevice.prototype.reboot = function(options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
-		let soap_body = '<tds:SystemReboot/>';
-		let soap = this._createRequestSoap(soap_body);
-		mOnvifSoap.requestCommand(this.oxaddr, 'SystemReboot', soap).then((result) => {
+		let soap_body = this._buildBody({'tds:SystemReboot': {}});
+		mOnvifSoap.requestCommand(this.oxaddr, 'SystemReboot', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -939,13 +1044,16 @@ OnvifServiceDevice.prototype.reboot = function(callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getUsers([callback])
+* Method: getUsers([options][, callback])
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.getUsers = function(callback) {
+OnvifServiceDevice.prototype.getUsers = function(options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
-		let soap_body = '<tds:GetUsers/>';
-		let soap = this._createRequestSoap(soap_body);
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetUsers', soap).then((result) => {
+		let soap_body = this._buildBody({'tds:GetUsers': {}});
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetUsers', () => this._createRequestSoap(soap_body), options).then((result) => {
 			try {
 				let d = result['data']['GetUsersResponse']['User'];
 				if(!Array.isArray(d)) {
@@ -969,7 +1077,7 @@ OnvifServiceDevice.prototype.getUsers = function(callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: createUsers(params[, callback])
+* Method: createUsers(params[, options][, callback])
 * - params:
 *   - User        | Array  | required |
 *     - Username  | string | required | Username
@@ -984,7 +1092,11 @@ OnvifServiceDevice.prototype.getUsers = function(callback) {
 *   ]
 * }
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.createUsers = function(params, callback) {
+OnvifServiceDevice.prototype.createUsers = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -1023,19 +1135,19 @@ OnvifServiceDevice.prototype.createUsers = function(params, callback) {
 			}
 		}
 	
-		let soap_body = '';
-		soap_body += '<tds:CreateUsers>';
-		params['User'].forEach((u) => {
-			soap_body += '<tds:User>';
-			soap_body += '<tt:Username>' + u['Username'] + '</tt:Username>';
-			soap_body += '<tt:Password>' + u['Password'] + '</tt:Password>';
-			soap_body += '<tt:UserLevel>' + u['UserLevel'] + '</tt:UserLevel>';
-			soap_body += '</tds:User>';
-		});
-		soap_body += '</tds:CreateUsers>';
-		let soap = this._createRequestSoap(soap_body);
+		let soap_body = this._buildBody({
+			'tds:CreateUsers': {
+				'tds:User': params['User'].map((u) => {
+					return {
+						'tt:Username': u['Username'],
+						'tt:Password': u['Password'],
+						'tt:UserLevel': u['UserLevel']
+					};
+				})
+			}
+		});
 	
-		mOnvifSoap.requestCommand(this.oxaddr, 'CreateUsers', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'CreateUsers', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -1053,7 +1165,7 @@ OnvifServiceDevice.prototype.createUsers = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: deleteUsers(params[, callback])
+* Method: deleteUsers(params[, options][, callback])
 * - params:
 *   - User        | Array  | required |
 *     - Username  | string | required | Username
@@ -1066,7 +1178,11 @@ OnvifServiceDevice.prototype.createUsers = function(params, callback) {
 *   ]
 * }
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.deleteUsers = function(params, callback) {
+OnvifServiceDevice.prototype.deleteUsers = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -1092,17 +1208,13 @@ OnvifServiceDevice.prototype.deleteUsers = function(params, callback) {
 			}
 		}
 	
-		let soap_body = '';
-		soap_body += '<tds:DeleteUsers>';
-		params['User'].forEach((u) => {
-			//soap_body += '<tds:User>';
-			soap_body += '<tt:Username>' + u['Username'] + '</tt:Username>';
-			//soap_body += '</tds:User>';
-		});
-		soap_body += '</tds:DeleteUsers>';
-		let soap = this._createRequestSoap(soap_body);
+		let soap_body = this._buildBody({
+			'tds:DeleteUsers': {
+				'tt:Username': params['User'].map(u => u['Username'])
+			}
+		});
 	
-		mOnvifSoap.requestCommand(this.oxaddr, 'DeleteUsers', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'DeleteUsers', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -1120,7 +1232,7 @@ OnvifServiceDevice.prototype.deleteUsers = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: setUser(params[, callback])
+* Method: setUser(params[, options][, callback])
 * - params:
 *   - User        | Array  | required |
 *     - Username  | string | required | Username
@@ -1135,7 +1247,11 @@ OnvifServiceDevice.prototype.deleteUsers = function(params, callback) {
 *   ]
 * }
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.setUser = function(params, callback) {
+OnvifServiceDevice.prototype.setUser = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -1178,23 +1294,19 @@ OnvifServiceDevice.prototype.setUser = function(params, callback) {
 			}
 		}
 	
-		let soap_body = '';
-		soap_body += '<tds:SetUser>';
-		params['User'].forEach((u) => {
-			soap_body += '<tds:User>';
-			soap_body += '<tt:Username>' + u['Username'] + '</tt:Username>';
-			if('Password' in u) {
-				soap_body += '<tt:Password>' + u['Password'] + '</tt:Password>';
+		let soap_body = this._buildBody({
+			'tds:SetUser': {
+				'tds:User': params['User'].map((u) => {
+					return {
+						'tt:Username': u['Username'],
+						'tt:Password': u['Password'],
+						'tt:UserLevel': u['UserLevel']
+					};
+				})
 			}
-			if('UserLevel' in u) {
-				soap_body += '<tt:UserLevel>' + u['UserLevel'] + '</tt:UserLevel>';
-			}
-			soap_body += '</tds:User>';
 		});
-		soap_body += '</tds:SetUser>';
-		let soap = this._createRequestSoap(soap_body);
 	
-		mOnvifSoap.requestCommand(this.oxaddr, 'SetUser', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'SetUser', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -1212,13 +1324,16 @@ OnvifServiceDevice.prototype.setUser = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getRelayOutputs([callback])
+* Method: getRelayOutputs([options][, callback])
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.getRelayOutputs = function(callback) {
+OnvifServiceDevice.prototype.getRelayOutputs = function(options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
-		let soap_body = '<tds:GetRelayOutputs/>';
-		let soap = this._createRequestSoap(soap_body);
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetRelayOutputs', soap).then((result) => {
+		let soap_body = this._buildBody({'tds:GetRelayOutputs': {}});
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetRelayOutputs', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -1236,13 +1351,16 @@ OnvifServiceDevice.prototype.getRelayOutputs = function(callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getNTP([callback])
+* Method: getNTP([options][, callback])
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.getNTP = function(callback) {
+OnvifServiceDevice.prototype.getNTP = function(options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
-		let soap_body = '<tds:GetNTP/>';
-		let soap = this._createRequestSoap(soap_body);
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetNTP', soap).then((result) => {
+		let soap_body = this._buildBody({'tds:GetNTP': {}});
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetNTP', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -1260,7 +1378,7 @@ OnvifServiceDevice.prototype.getNTP = function(callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: setNTP(params[, callback])
+* Method: setNTP(params[, options][, callback])
 * - params:
 *   - FromDHCP      | Boolean | required | true or false
 *   - NTPManual     | Object  | optional |
@@ -1272,7 +1390,11 @@ OnvifServiceDevice.prototype.getNTP = function(callback) {
 *    "NTPManual": {"Type": "IPv4", "IPv4Address": "192.168.10.1"}
 * }
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.setNTP = function(params, callback) {
+OnvifServiceDevice.prototype.setNTP = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -1315,24 +1437,19 @@ OnvifServiceDevice.prototype.setNTP = function(params, callback) {
 			}
 		}
 	
-		let soap_body = '';
-		soap_body += '<tds:SetNTP>';
-		soap_body += '<tds:FromDHCP>' + params['FromDHCP'] + '</tds:FromDHCP>';
-		if('NTPManual' in params) {
-			let o = params['NTPManual'];
-			soap_body += '<tds:NTPManual>';
-			soap_body += '<tt:Type>' + o['Type'] + '</tt:Type>';
-			if(o['Type'] === 'IPv4') {
-				soap_body += '<tt:IPv4Address>' + o['IPv4Address'] + '</tt:IPv4Address>';
-			} else {
-				soap_body += '<tt:IPv6Address>' + o['IPv6Address'] + '</tt:IPv6Address>';
+		let ntp_manual = params['NTPManual'];
+		let soap_body = this._buildBody({
+			'tds:SetNTP': {
+				'tds:FromDHCP': params['FromDHCP'],
+				'tds:NTPManual': !('NTPManual' in params) ? null : {
+					'tt:Type': ntp_manual['Type'],
+					'tt:IPv4Address': (ntp_manual['Type'] === 'IPv4') ? ntp_manual['IPv4Address'] : null,
+					'tt:IPv6Address': (ntp_manual['Type'] === 'IPv4') ? null : ntp_manual['IPv6Address']
+				}
 			}
-			soap_body += '</tds:NTPManual>';
-		}
-		soap_body += '</tds:SetNTP>';
-		let soap = this._createRequestSoap(soap_body);
+		});
 	
-		mOnvifSoap.requestCommand(this.oxaddr, 'SetNTP', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'SetNTP', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -1350,13 +1467,16 @@ OnvifServiceDevice.prototype.setNTP = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getDynamicDNS([callback])
+* Method: getDynamicDNS([options][, callback])
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.getDynamicDNS = function(callback) {
+OnvifServiceDevice.prototype.getDynamicDNS = function(options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
-		let soap_body = '<tds:GetDynamicDNS/>';
-		let soap = this._createRequestSoap(soap_body);
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetDynamicDNS', soap).then((result) => {
+		let soap_body = this._buildBody({'tds:GetDynamicDNS': {}});
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetDynamicDNS', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -1374,13 +1494,16 @@ OnvifServiceDevice.prototype.getDynamicDNS = function(callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getZeroConfiguration([callback])
+* Method: getZeroConfiguration([options][, callback])
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.getZeroConfiguration = function(callback) {
+OnvifServiceDevice.prototype.getZeroConfiguration = function(options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
-		let soap_body = '<tds:GetZeroConfiguration/>';
-		let soap = this._createRequestSoap(soap_body);
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetZeroConfiguration', soap).then((result) => {
+		let soap_body = this._buildBody({'tds:GetZeroConfiguration': {}});
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetZeroConfiguration', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -1398,14 +1521,17 @@ OnvifServiceDevice.prototype.getZeroConfiguration = function(callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getIPAddressFilter([callback])
+* Method: getIPAddressFilter([options][, callback])
 * No devcie I own supports this method for now.
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.getIPAddressFilter = function(callback) {
+OnvifServiceDevice.prototype.getIPAddressFilter = function(options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
-		let soap_body = '<tds:GetIPAddressFilter/>';
-		let soap = this._createRequestSoap(soap_body);
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetIPAddressFilter', soap).then((result) => {
+		let soap_body = this._buildBody({'tds:GetIPAddressFilter': {}});
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetIPAddressFilter', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -1423,7 +1549,7 @@ OnvifServiceDevice.prototype.getIPAddressFilter = function(callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: setIPAddressFilter(params[, callback])
+* Method: setIPAddressFilter(params[, options][, callback])
 * - params:
 *   - Type:          | String  | required | 'Allow', 'Deny' 
 *   - IPv4Address    | Array   | required | 
@@ -1442,7 +1568,11 @@ OnvifServiceDevice.prototype.getIPAddressFilter = function(callback) {
 *
 * No devcie I own supports this method for now.
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.setIPAddressFilter = function(params, callback) {
+OnvifServiceDevice.prototype.setIPAddressFilter = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -1482,21 +1612,21 @@ OnvifServiceDevice.prototype.setIPAddressFilter = function(params, callback) {
 			}
 		}
 	
-		let soap_body = '';
-		soap_body += '<tds:SetIPAddressFilter>';
-		soap_body += '<tds:IPAddressFilter>';
-		soap_body += '<tt:Type>' + params['Type'] + '</tt:Type>';
-		params['IPv4Address'].forEach((o) => {
-			soap_body += '<tt:IPv4Address>';
-			soap_body += '<tt:Address>' + o['Address'] + '</tt:Address>';
-			soap_body += '<tt:PrefixLength>' + o['PrefixLength'] + '</tt:PrefixLength>';
-			soap_body += '</tt:IPv4Address>';
-		});
-		soap_body += '</tds:IPAddressFilter>';
-		soap_body += '</tds:SetIPAddressFilter>';
-		let soap = this._createRequestSoap(soap_body);
+		let soap_body = this._buildBody({
+			'tds:SetIPAddressFilter': {
+				'tds:IPAddressFilter': {
+					'tt:Type': params['Type'],
+					'tt:IPv4Address': params['IPv4Address'].map((o) => {
+						return {
+							'tt:Address': o['Address'],
+							'tt:PrefixLength': o['PrefixLength']
+						};
+					})
+				}
+			}
+		});
 	
-		mOnvifSoap.requestCommand(this.oxaddr, 'SetIPAddressFilter', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'SetIPAddressFilter', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -1514,13 +1644,17 @@ OnvifServiceDevice.prototype.setIPAddressFilter = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getServices(params[, callback])
+* Method: getServices(params[, options][, callback])
 * - params:
 *   - IncludeCapability | boolean | required | true or false
 *
 * {'IncludeCapability': false}
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.getServices = function(params, callback) {
+OnvifServiceDevice.prototype.getServices = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -1533,13 +1667,13 @@ OnvifServiceDevice.prototype.getServices = function(params, callback) {
 			return;
 		}
 	
-		let soap_body = '';
-		soap_body += '<tds:GetServices>';
-		soap_body += '<tds:IncludeCapability>' + params['IncludeCapability'] + '</tds:IncludeCapability>';
-		soap_body += '</tds:GetServices>';
-		let soap = this._createRequestSoap(soap_body);
+		let soap_body = this._buildBody({
+			'tds:GetServices': {
+				'tds:IncludeCapability': params['IncludeCapability']
+			}
+		});
 	
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetServices', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetServices', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -1557,12 +1691,12 @@ OnvifServiceDevice.prototype.getServices = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getServiceCapabilities([callback])
+* Method: getServiceCapabilities([options])
 * ---------------------------------------------------------------- */
-OnvifServiceDevice.prototype.getServiceCapabilities = function() {
-    const soapBody = '<tds:GetServiceCapabilities/>';
+OnvifServiceDevice.prototype.getServiceCapabilities = function(options) {
+    const soapBody = this._buildBody({'tds:GetServiceCapabilities': {}});
 
-	return this.sendRequest('GetServiceCapabilities', soapBody)
+	return this.sendRequest('GetServiceCapabilities', soapBody, options)
 		.then(result => result['Capabilities']);
 };
 
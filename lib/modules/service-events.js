@@ -6,9 +6,12 @@
 * Date: 2017-08-26
 * ---------------------------------------------------------------- */
 'use strict';
-const mUrl    = require('url');
 const mOnvifSoap = require('./soap.js');
 const helpers = require('./helpers.js');
+const mXmlBuilder = require('./xml-builder.js');
+const tlsOptions = require('./tls-options.js');
+const requestOptions = require('./request-options.js');
+const OnvifInterceptors = require('./interceptors.js');
 
 /* ------------------------------------------------------------------
 * Constructor: OnvifServiceEvents(params)
@@ -18,6 +21,20 @@ const helpers = require('./helpers.js');
 *    - user  : User name (Optional)
 *    - pass  : Password (Optional)
 *    - time_diff: ms
+*    - tls   : TLS options for an "https" xaddr (Optional)
+*              (see tls-options.js)
+*    - pool  : the OnvifConnectionPool of the device (Optional)
+*    - requestOptions: timeouts and retries (Optional)
+*              (see request-options.js)
+*    - interceptors: the OnvifInterceptors of the device (Optional)
+*    - transport: the object which sends the SOAP requests (Optional,
+*              see soap.js)
+*    - timeSync: called when a request may have failed because the
+*              clock of the device drifted (Optional, see soap.js)
+*
+* The `options` argument of the command methods has the options of the
+* request, e.g., {signal: an AbortSignal, timeout: 5000} (see
+* parseRequestOptions() in request-options.js).
 * ---------------------------------------------------------------- */
 function OnvifServiceEvents(params) {
 	this.xaddr = '';
@@ -56,10 +73,17 @@ function OnvifServiceEvents(params) {
 		}
 	}
 
-	this.oxaddr = mUrl.parse(this.xaddr);
+	this.oxaddr = helpers.parseUrl(this.xaddr);
 	if(this.user) {
 		this.oxaddr.auth = this.user + ':' + this.pass;
 	}
+	this.oxaddr.tls = tlsOptions.parseTlsOptions(params['tls']);
+	this.oxaddr.pool = params['pool'] || null;
+	this.oxaddr.requestOptions = requestOptions.parseRequestOptions(params['requestOptions'], true);
+	this.interceptors = new OnvifInterceptors(params['interceptors']);
+	this.oxaddr.interceptors = this.interceptors;
+	this.oxaddr.transport = params['transport'] || null;
+	this.oxaddr.timeSync = params['timeSync'] || null;
 
 	this.time_diff = params['timeDifference'];
 	this.name_space_attr_list = [
@@ -79,6 +103,10 @@ OnvifServiceEvents.prototype._createRequestSoap = function(body) {
 	return soap;
 };
 
+OnvifServiceEvents.prototype._buildBody = function(node) {
+	return mXmlBuilder.build(node, this.name_space_attr_list);
+};
+
 /* ------------------------------------------------------------------
 * Method: setAuth(user, pass)
 * ---------------------------------------------------------------- */
@@ -93,14 +121,60 @@ OnvifServiceEvents.prototype.setAuth = function(user, pass) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getEventProperties([callback])
+* Method: addInterceptor(interceptor)
+* - interceptor: an object which has onRequest(), onResponse() and/or
+*                onError() (see interceptors.js). It only sees the
+*                requests of this service.
+* ---------------------------------------------------------------- */
+OnvifServiceEvents.prototype.addInterceptor = function(interceptor) {
+	this.interceptors.add(interceptor);
+};
+
+/* ------------------------------------------------------------------
+* Method: removeInterceptor(interceptor)
+* ---------------------------------------------------------------- */
+OnvifServiceEvents.prototype.removeInterceptor = function(interceptor) {
+	this.interceptors.remove(interceptor);
+};
+
+/* ------------------------------------------------------------------
+* Method: getServiceCapabilities([options][, callback])
+* ---------------------------------------------------------------- */
+OnvifServiceEvents.prototype.getServiceCapabilities = function(options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
+	let promise = new Promise((resolve, reject) => {
+		let soap_body = this._buildBody({'tev:GetServiceCapabilities': {}});
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetServiceCapabilities', () => this._createRequestSoap(soap_body), options).then((result) => {
+			resolve(result);
+		}).catch((error) => {
+			reject(error);
+		});
+	});
+	if(callback) {
+		promise.then((result) => {
+			callback(null, result);
+		}).catch((error) => {
+			callback(error);
+		});
+	} else {
+		return promise;
+	}
+};
+
+/* ------------------------------------------------------------------
+* Method: getEventProperties([options][, callback])
 * ---------------------------------------------------------------- */
-OnvifServiceEvents.prototype.getEventProperties = function(callback) {
+OnvifServiceEvents.prototype.getEventProperties = function(options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
-		let soap_body = '';
-		soap_body += '<tev:GetEventProperties/>';
-		let soap = this._createRequestSoap(soap_body);
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetEventProperties', soap).then((result) => {
+		let soap_body = this._buildBody({'tev:GetEventProperties': {}});
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetEventProperties', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -0,0 +1,403 @@
+/* ------------------------------------------------------------------
+* node-onvif - service-imaging.js
+*
+* Copyright (c) 2016 - 2017, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const mOnvifSoap = require('./soap.js');
+const helpers = require('./helpers.js');
+const mXmlBuilder = require('./xml-builder.js');
+const tlsOptions = require('./tls-options.js');
+const requestOptions = require('./request-options.js');
+const OnvifInterceptors = require('./interceptors.js');
+
+/* ------------------------------------------------------------------
+* Constructor: OnvifServiceImaging(params)
+* - params:
+*    - xaddr   : URL of the entry point for the imaging service
+*                (Required)
+*    - user  : User name (Optional)
+*    - pass  : Password (Optional)
+*    - time_diff: ms
+*    - tls   : TLS options for an "https" xaddr (Optional)
+*              (see tls-options.js)
+*    - pool  : the OnvifConnectionPool of the device (Optional)
+*    - requestOptions: timeouts and retries (Optional)
+*              (see request-options.js)
+*    - interceptors: the OnvifInterceptors of the device (Optional)
+*    - transport: the object which sends the SOAP requests (Optional,
+*              see soap.js)
+*    - timeSync: called when a request may have failed because the
+*              clock of the device drifted (Optional, see soap.js)
+*
+* The `options` argument of the command methods has the options of the
+* request, e.g., {signal: an AbortSignal, timeout: 5000} (see
+* parseRequestOptions() in request-options.js).
+* ---------------------------------------------------------------- */
+function OnvifServiceImaging(params) {
+	this.xaddr = '';
+	this.user = '';
+	this.pass = '';
+
+	let err_msg = '';
+
+	if(err_msg = helpers.isInvalidValue(params, 'object')) {
+		throw new Error('The value of "params" was invalid: ' + err_msg);
+	}
+
+	if('xaddr' in params) {
+		if(err_msg = helpers.isInvalidValue(params['xaddr'], 'string')) {
+			throw new Error('The "xaddr" property was invalid: ' + err_msg);
+		} else {
+			this.xaddr = params['xaddr'];
+		}
+	} else {
+		throw new Error('The "xaddr" property is required.');
+	}
+
+	if('user' in params) {
+		if(err_msg = helpers.isInvalidValue(params['user'], 'string', true)) {
+			throw new Error('The "user" property was invalid: ' + err_msg);
+		} else {
+			this.user = params['user'] || '';
+		}
+	}
+
+	if('pass' in params) {
+		if(err_msg = helpers.isInvalidValue(params['pass'], 'string', true)) {
+			throw new Error('The "pass" property was invalid: ' + err_msg);
+		} else {
+			this.pass = params['pass'] || '';
+		}
+	}
+
+	this.oxaddr = helpers.parseUrl(this.xaddr);
+	if(this.user) {
+		this.oxaddr.auth = this.user + ':' + this.pass;
+	}
+	this.oxaddr.tls = tlsOptions.parseTlsOptions(params['tls']);
+	this.oxaddr.pool = params['pool'] || null;
+	this.oxaddr.requestOptions = requestOptions.parseRequestOptions(params['requestOptions'], true);
+	this.interceptors = new OnvifInterceptors(params['interceptors']);
+	this.oxaddr.interceptors = this.interceptors;
+	this.oxaddr.transport = params['transport'] || null;
+	this.oxaddr.timeSync = params['timeSync'] || null;
+
+	this.time_diff = params['timeDifference'];
+	this.name_space_attr_list = [
+		'xmlns:ter="http://www.onvif.org/ver10/error"',
+		'xmlns:tt="http://www.onvif.org/ver10/schema"',
+		'xmlns:timg="http://www.onvif.org/ver20/imaging/wsdl"'
+	];
+}
+
+OnvifServiceImaging.prototype._createRequestSoap = function(body) {
+	let soap = mOnvifSoap.createRequestSoap({
+		'body': body,
+		'xmlns': this.name_space_attr_list,
+		'diff': this.time_diff,
+		'user': this.user,
+		'pass': this.pass
+	});
+	return soap;
+};
+
+OnvifServiceImaging.prototype._buildBody = function(node) {
+	return mXmlBuilder.build(node, this.name_space_attr_list);
+};
+
+/* ------------------------------------------------------------------
+* Method: setAuth(user, pass)
+* ---------------------------------------------------------------- */
+OnvifServiceImaging.prototype.setAuth = function(user, pass) {
+	this.user = user || '';
+	this.pass = pass || '';
+	if(this.user) {
+		this.oxaddr.auth = this.user + ':' + this.pass;
+	} else {
+		this.oxaddr.auth = '';
+	}
+};
+
+/* ------------------------------------------------------------------
+* Method: addInterceptor(interceptor)
+* - interceptor: an object which has onRequest(), onResponse() and/or
+*                onError() (see interceptors.js). It only sees the
+*                requests of this service.
+* ---------------------------------------------------------------- */
+OnvifServiceImaging.prototype.addInterceptor = function(interceptor) {
+	this.interceptors.add(interceptor);
+};
+
+/* ------------------------------------------------------------------
+* Method: removeInterceptor(interceptor)
+* ---------------------------------------------------------------- */
+OnvifServiceImaging.prototype.removeInterceptor = function(interceptor) {
+	this.interceptors.remove(interceptor);
+};
+
+/* ------------------------------------------------------------------
+* Method: getServiceCapabilities([options][, callback])
+* ---------------------------------------------------------------- */
+OnvifServiceImaging.prototype.getServiceCapabilities = function(options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
+	let promise = new Promise((resolve, reject) => {
+		let soap_body = this._buildBody({'timg:GetServiceCapabilities': {}});
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetServiceCapabilities', () => this._createRequestSoap(soap_body), options).then((result) => {
+			resolve(result);
+		}).catch((error) => {
+			reject(error);
+		});
+	});
+	if(callback) {
+		promise.then((result) => {
+			callback(null, result);
+		}).catch((error) => {
+			callback(error);
+		});
+	} else {
+		return promise;
+	}
+};
+
+/* ------------------------------------------------------------------
+* Method: getImagingSettings(params[, options][, callback])
+* - params:
+*   - VideoSourceToken | String | required | a token of the video source
+*
+* The brightness, the exposure, the focus, the white balance, etc.
+* ---------------------------------------------------------------- */
+OnvifServiceImaging.prototype.getImagingSettings = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
+	let promise = new Promise((resolve, reject) => {
+		let err_msg = '';
+		if(err_msg = helpers.isInvalidValue(params, 'object')) {
+			reject(new Error('The value of "params" was invalid: ' + err_msg));
+			return;
+		}
+
+		if(err_msg = helpers.isInvalidValue(params['VideoSourceToken'], 'string')) {
+			reject(new Error('The "VideoSourceToken" property was invalid: ' + err_msg));
+			return;
+		}
+
+		let soap_body = this._buildBody({
+			'timg:GetImagingSettings': {
+				'timg:VideoSourceToken': params['VideoSourceToken']
+			}
+		});
+
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetImagingSettings', () => this._createRequestSoap(soap_body), options).then((result) => {
+			resolve(result);
+		}).catch((error) => {
+			reject(error);
+		});
+	});
+	if(callback) {
+		promise.then((result) => {
+			callback(null, result);
+		}).catch((error) => {
+			callback(error);
+		});
+	} else {
+		return promise;
+	}
+};
+
+/* ------------------------------------------------------------------
+* Method: getOptions(params[, options][, callback])
+* - params:
+*   - VideoSourceToken | String | required | a token of the video source
+*
+* The ranges of the imaging settings the video source accepts.
+* ---------------------------------------------------------------- */
+OnvifServiceImaging.prototype.getOptions = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
+	let promise = new Promise((resolve, reject) => {
+		let err_msg = '';
+		if(err_msg = helpers.isInvalidValue(params, 'object')) {
+			reject(new Error('The value of "params" was invalid: ' + err_msg));
+			return;
+		}
+
+		if(err_msg = helpers.isInvalidValue(params['VideoSourceToken'], 'string')) {
+			reject(new Error('The "VideoSourceToken" property was invalid: ' + err_msg));
+			return;
+		}
+
+		let soap_body = this._buildBody({
+			'timg:GetOptions': {
+				'timg:VideoSourceToken': params['VideoSourceToken']
+			}
+		});
+
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetOptions', () => this._createRequestSoap(soap_body), options).then((result) => {
+			resolve(result);
+		}).catch((error) => {
+			reject(error);
+		});
+	});
+	if(callback) {
+		promise.then((result) => {
+			callback(null, result);
+		}).catch((error) => {
+			callback(error);
+		});
+	} else {
+		return promise;
+	}
+};
+
+/* ------------------------------------------------------------------
+* Method: getMoveOptions(params[, options][, callback])
+* - params:
+*   - VideoSourceToken | String | required | a token of the video source
+*
+* The focus moves the video source supports.
+* ---------------------------------------------------------------- */
+OnvifServiceImaging.prototype.getMoveOptions = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
+	let promise = new Promise((resolve, reject) => {
+		let err_msg = '';
+		if(err_msg = helpers.isInvalidValue(params, 'object')) {
+			reject(new Error('The value of "params" was invalid: ' + err_msg));
+			return;
+		}
+
+		if(err_msg = helpers.isInvalidValue(params['VideoSourceToken'], 'string')) {
+			reject(new Error('The "VideoSourceToken" property was invalid: ' + err_msg));
+			return;
+		}
+
+		let soap_body = this._buildBody({
+			'timg:GetMoveOptions': {
+				'timg:VideoSourceToken': params['VideoSourceToken']
+			}
+		});
+
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetMoveOptions', () => this._createRequestSoap(soap_body), options).then((result) => {
+			resolve(result);
+		}).catch((error) => {
+			reject(error);
+		});
+	});
+	if(callback) {
+		promise.then((result) => {
+			callback(null, result);
+		}).catch((error) => {
+			callback(error);
+		});
+	} else {
+		return promise;
+	}
+};
+
+/* ------------------------------------------------------------------
+* Method: getStatus(params[, options][, callback])
+* - params:
+*   - VideoSourceToken | String | required | a token of the video source
+*
+* The position and the move status of the focus.
+* ---------------------------------------------------------------- */
+OnvifServiceImaging.prototype.getStatus = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
+	let promise = new Promise((resolve, reject) => {
+		let err_msg = '';
+		if(err_msg = helpers.isInvalidValue(params, 'object')) {
+			reject(new Error('The value of "params" was invalid: ' + err_msg));
+			return;
+		}
+
+		if(err_msg = helpers.isInvalidValue(params['VideoSourceToken'], 'string')) {
+			reject(new Error('The "VideoSourceToken" property was invalid: ' + err_msg));
+			return;
+		}
+
+		let soap_body = this._buildBody({
+			'timg:GetStatus': {
+				'timg:VideoSourceToken': params['VideoSourceToken']
+			}
+		});
+
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetStatus', () => this._createRequestSoap(soap_body), options).then((result) => {
+			resolve(result);
+		}).catch((error) => {
+			reject(error);
+		});
+	});
+	if(callback) {
+		promise.then((result) => {
+			callback(null, result);
+		}).catch((error) => {
+			callback(error);
+		});
+	} else {
+		return promise;
+	}
+};
+
+/* ------------------------------------------------------------------
+* Method: stop(params[, options][, callback])
+* - params:
+*   - VideoSourceToken | String | required | a token of the video source
+*
+* Stops a focus move.
+* ---------------------------------------------------------------- */
+OnvifServiceImaging.prototype.stop = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
+	let promise = new Promise((resolve, reject) => {
+		let err_msg = '';
+		if(err_msg = helpers.isInvalidValue(params, 'object')) {
+			reject(new Error('The value of "params" was invalid: ' + err_msg));
+			return;
+		}
+
+		if(err_msg = helpers.isInvalidValue(params['VideoSourceToken'], 'string')) {
+			reject(new Error('The "VideoSourceToken" property was invalid: ' + err_msg));
+			return;
+		}
+
+		let soap_body = this._buildBody({
+			'timg:Stop': {
+				'timg:VideoSourceToken': params['VideoSourceToken']
+			}
+		});
+
+		mOnvifSoap.requestCommand(this.oxaddr, 'Stop', () => this._createRequestSoap(soap_body), options).then((result) => {
+			resolve(result);
+		}).catch((error) => {
+			reject(error);
+		});
+	});
+	if(callback) {
+		promise.then((result) => {
+			callback(null, result);
+		}).catch((error) => {
+			callback(error);
+		});
+	} else {
+		return promise;
+	}
+};
+
+module.exports = OnvifServiceImaging;
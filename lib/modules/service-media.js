@@ -1,22 +1,44 @@
 'use strict';
-const mUrl    = require('url');
 const mOnvifSoap = require('./soap.js');
 const helpers = require('./helpers');
+const mXmlBuilder = require('./xml-builder.js');
+const tlsOptions = require('./tls-options.js');
+const requestOptions = require('./request-options.js');
+const OnvifInterceptors = require('./interceptors.js');
 
 /* ------------------------------------------------------------------
-* Constructor: OnvifServiceMedia(xaddr, user, pass, timeDifference)
+* Constructor: OnvifServiceMedia(xaddr, user, pass, timeDifference[, options])
 *  - xaddr : URL of the entry point for the media service (Required)
 *  - user : User name (Optional)
 *  - pass : Password (Optional)
 *  - timeDifference: Time difference in milliseconds
+*  - options : (Optional)
+*    - tls : TLS options for an "https" xaddr (see tls-options.js)
+*    - pool: the OnvifConnectionPool of the device
+*    - requestOptions: timeouts and retries (see request-options.js)
+*    - interceptors: the OnvifInterceptors of the device
+*    - transport: the object which sends the SOAP requests (see soap.js)
+*    - timeSync: called when a request may have failed because
+*                the clock of the device drifted (see soap.js)
+*
+* The `options` argument of the command methods has the options of the
+* request, e.g., {signal: an AbortSignal, timeout: 5000} (see
+* parseRequestOptions() in request-options.js).
 * ---------------------------------------------------------------- */
-function OnvifServiceMedia(xaddr, user, pass, timeDifference) {
+function OnvifServiceMedia(xaddr, user, pass, timeDifference, options) {
     if (!this.validateXAddr(xaddr)) throw this.getLastError();
 
-    this.oxaddr = mUrl.parse(xaddr);
+    this.oxaddr = helpers.parseUrl(xaddr);
     this.user = user || '';
     this.pass = pass || '';
     this.oxaddr.auth = this.user ? `${this.user}:${this.pass}` : '';
+    this.oxaddr.tls = tlsOptions.parseTlsOptions((options || {}).tls);
+    this.oxaddr.pool = (options || {}).pool || null;
+    this.oxaddr.requestOptions = requestOptions.parseRequestOptions((options || {}).requestOptions, true);
+    this.interceptors = new OnvifInterceptors((options || {}).interceptors);
+    this.oxaddr.interceptors = this.interceptors;
+    this.oxaddr.transport = (options || {}).transport || null;
+    this.oxaddr.timeSync = (options || {}).timeSync || null;
     this.timeDifference = timeDifference;
     this.namespaces = [
         'xmlns:tr2="http://www.onvif.org/ver20/media/wsdl"',
@@ -26,25 +48,26 @@ function OnvifServiceMedia(xaddr, user, pass, timeDifference) {
     ];
 }
 
-OnvifServiceMedia.prototype.getNodes = function() {
-    let soapBody = '<tptz:GetNodes/>';
+OnvifServiceMedia.prototype.getNodes = function(options) {
+    let soapBody = this._buildBody({'tptz:GetNodes': {}});
 
-    return this.sendRequest('GetNodes', soapBody)
+    return this.sendRequest('GetNodes', soapBody, options)
 };
 
-OnvifServiceMedia.prototype.getPresets = function(profileToken) {
-    let soapBody = '';
-    soapBody += '<tptz:GetPresets>';
-    soapBody += `<tptz:ProfileToken>${profileToken}</tptz:ProfileToken>`;
-    soapBody += '</tptz:GetPresets>';
+OnvifServiceMedia.prototype.getPresets = function(profileToken, options) {
+    let soapBody = this._buildBody({
+        'tptz:GetPresets': {
+            'tptz:ProfileToken': profileToken
+        }
+    });
 
-    return this.sendRequest('GetPresets', soapBody)
+    return this.sendRequest('GetPresets', soapBody, options)
 };
 
-OnvifServiceMedia.prototype.getPTZConfigurations = function() {
-    let soapBody = '<tptz:GetConfigurations/>';
+OnvifServiceMedia.prototype.getPTZConfigurations = function(options) {
+    let soapBody = this._buildBody({'tptz:GetConfigurations': {}});
 
-    return this.sendRequest('GetConfigurations', soapBody)
+    return this.sendRequest('GetConfigurations', soapBody, options)
 };
 
 OnvifServiceMedia.prototype._createRequestSoap = function(body) {
@@ -57,8 +80,38 @@ OnvifServiceMedia.prototype._createRequestSoap = function(body) {
     });
 };
 
-OnvifServiceMedia.prototype.sendRequest = function (endpoint, soapBody) {
-    return mOnvifSoap.requestCommand(this.oxaddr, endpoint, this._createRequestSoap(soapBody));
+OnvifServiceMedia.prototype._buildBody = function (node) {
+    return mXmlBuilder.build(node, this.namespaces);
+};
+
+OnvifServiceMedia.prototype.sendRequest = function (endpoint, soapBody, options) {
+    return mOnvifSoap.requestCommand(this.oxaddr, endpoint, () => this._createRequestSoap(soapBody), options);
+};
+
+/* ------------------------------------------------------------------
+* Method: setAuth(user, pass)
+* ---------------------------------------------------------------- */
+OnvifServiceMedia.prototype.setAuth = function (user, pass) {
+    this.user = user || '';
+    this.pass = pass || '';
+    this.oxaddr.auth = this.user ? `${this.user}:${this.pass}` : '';
+};
+
+/* ------------------------------------------------------------------
+* Method: addInterceptor(interceptor)
+* - interceptor: an object which has onRequest(), onResponse() and/or
+*                onError() (see interceptors.js). It only sees the
+*                requests of this service.
+* ---------------------------------------------------------------- */
+OnvifServiceMedia.prototype.addInterceptor = function (interceptor) {
+    this.interceptors.add(interceptor);
+};
+
+/* ------------------------------------------------------------------
+* Method: removeInterceptor(interceptor)
+* ---------------------------------------------------------------- */
+OnvifServiceMedia.prototype.removeInterceptor = function (interceptor) {
+    this.interceptors.remove(interceptor);
 };
 
 OnvifServiceMedia.prototype.ensureArray = function (data) {
@@ -370,7 +423,7 @@ OnvifServiceMedia.prototype.parseVideoEncoderConfigurationOptions = function (op
         jpeg: 'JPEG' in options ? this.parseJPEGVideoEncoderConfigurationOptions(options['JPEG']) : null,
         mpeg4: 'MPEG4' in options ? this.parseMpeg4VideoEncoderConfigurationOptions(options['MPEG4']) : null,
         h264: 'H264' in options ? this.parseH264VideoEncoderConfigurationOptions(options['H264']) : null,
-        extension: {
+        extension: !('Extension' in options) ? null : {
             jpeg: 'JPEG' in options['Extension'] ? this.parseJPEGVideoEncoderConfigurationOptions(options['Extension']['JPEG']) : null,
             mpeg4: 'MPEG4' in options['Extension'] ? this.parseMpeg4VideoEncoderConfigurationOptions(options['Extension']['MPEG4']) : null,
             h264: 'H264' in options['Extension'] ? this.parseH264VideoEncoderConfigurationOptions(options['Extension']['H264']) : null,
@@ -381,7 +434,7 @@ OnvifServiceMedia.prototype.parseVideoEncoderConfigurationOptions = function (op
 
 OnvifServiceMedia.prototype.parseJPEGVideoEncoderConfigurationOptions = function (options) {
     return {
-        resolutionsAvailable: options['ResolutionsAvailable'].map(resolution => ({
+        resolutionsAvailable: this.ensureArray(options['ResolutionsAvailable']).map(resolution => ({
             width: parseInt(resolution['Width']),
             height: parseInt(resolution['Height'])
         })),
@@ -402,7 +455,7 @@ OnvifServiceMedia.prototype.parseJPEGVideoEncoderConfigurationOptions = function
 
 OnvifServiceMedia.prototype.parseMpeg4VideoEncoderConfigurationOptions = function (options) {
     return {
-        resolutionsAvailable: options['ResolutionsAvailable'].map(resolution => ({
+        resolutionsAvailable: this.ensureArray(options['ResolutionsAvailable']).map(resolution => ({
             width: parseInt(resolution['Width']),
             height: parseInt(resolution['Height'])
         })),
@@ -428,7 +481,7 @@ OnvifServiceMedia.prototype.parseMpeg4VideoEncoderConfigurationOptions = functio
 
 OnvifServiceMedia.prototype.parseH264VideoEncoderConfigurationOptions = function (options) {
     return {
-        resolutionsAvailable: options['ResolutionsAvailable'].map(resolution => ({
+        resolutionsAvailable: this.ensureArray(options['ResolutionsAvailable']).map(resolution => ({
             width: parseInt(resolution['Width']),
             height: parseInt(resolution['Height'])
         })),
@@ -464,7 +517,7 @@ OnvifServiceMedia.prototype.parseGuaranteedNumberOfVideoEncoderInstances = funct
 OnvifServiceMedia.prototype.parseProfile = function (profile) {
     return {
         token: profile['$']['token'],
-        fixed: profile['$']['fixed'].toLowerCase() === 'true',
+        fixed: String(profile['$']['fixed']).toLowerCase() === 'true',
         name: profile['Name'],
         videoSourceConfiguration: !('VideoSourceConfiguration' in profile) ? null : this.parseVideoSourceConfiguration(profile['VideoSourceConfiguration']),
         audioSourceConfiguration: null, // TODO: Not implemented yet
@@ -487,7 +540,7 @@ OnvifServiceMedia.prototype.parseStreamUri = function (data) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getStreamUri(profileToken, protocol)
+* Method: getStreamUri(profileToken, protocol[, options])
 * - profileToken | String | required | a token of the profile
 * - protocol     | String | required | "UDP", "HTTP", or "RTSP"
 *
@@ -496,68 +549,70 @@ OnvifServiceMedia.prototype.parseStreamUri = function (data) {
 *
 * Note: Parameter Transport.Tunnel not implemented (TODO: Not implemented yet)
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getStreamUri = function(profileToken, protocol) {
+OnvifServiceMedia.prototype.getStreamUri = function(profileToken, protocol, options) {
     if (!this.validateProfileToken(profileToken)) throw this.getLastError();
     if (!this.validateStreamingProtocol(protocol)) throw this.getLastError();
 
-    let soapBody = '';
-    soapBody += '<trt:GetStreamUri>';
-    soapBody += '<trt:StreamSetup>';
-    soapBody += '<tt:Stream>RTP-Unicast</tt:Stream>';
-    soapBody += '<tt:Transport>';
-    soapBody += `<tt:Protocol>${protocol}</tt:Protocol>`;
-    soapBody += '</tt:Transport>';
-    soapBody += '</trt:StreamSetup>';
-    soapBody += `<trt:ProfileToken>${profileToken}</trt:ProfileToken>`;
-    soapBody += '</trt:GetStreamUri>';
-
-    return this.sendRequest('GetStreamUri', soapBody)
+    let soapBody = this._buildBody({
+        'trt:GetStreamUri': {
+            'trt:StreamSetup': {
+                'tt:Stream': 'RTP-Unicast',
+                'tt:Transport': {
+                    'tt:Protocol': protocol
+                }
+            },
+            'trt:ProfileToken': profileToken
+        }
+    });
+
+    return this.sendRequest('GetStreamUri', soapBody, options)
         .then(data => this.parseStreamUri(data['MediaUri']));
 };
 
 /* ------------------------------------------------------------------
-* Method: getVideoEncoderConfigurations()
+* Method: getVideoEncoderConfigurations([options])
 *
 * Source:
 *   52: GetVideoEncoderConfigurations, https://www.onvif.org/ver10/media/wsdl/media.wsdl
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getVideoEncoderConfigurations = function() {
-    const soapBody = '<trt:GetVideoEncoderConfigurations />';
+OnvifServiceMedia.prototype.getVideoEncoderConfigurations = function(options) {
+    const soapBody = this._buildBody({'trt:GetVideoEncoderConfigurations': {}});
 
-    return this.sendRequest('GetVideoEncoderConfigurations', soapBody)
+    return this.sendRequest('GetVideoEncoderConfigurations', soapBody, options)
         .then(data => data['Configurations'])
         .then(this.ensureArray)
         .then(data => data.map(config => this.parseVideoEncoderConfiguration(config)));
 };
 
 /* ------------------------------------------------------------------
-* Method: getVideoEncoderConfiguration(configurationToken)
+* Method: getVideoEncoderConfiguration(configurationToken[, options])
 * - configurationToken | String | required | a token of the configuration
 *
 * Source:
 *   50: GetVideoEncoderConfiguration, https://www.onvif.org/ver10/media/wsdl/media.wsdl
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getVideoEncoderConfiguration = function(configurationToken) {
+OnvifServiceMedia.prototype.getVideoEncoderConfiguration = function(configurationToken, options) {
     if (!this.validateConfigurationToken(configurationToken)) throw this.getLastError();
 
-    let soapBody = '';
-    soapBody += '<trt:GetVideoEncoderConfiguration>';
-    soapBody += `<trt:ConfigurationToken>${configurationToken}</trt:ConfigurationToken>`;
-    soapBody += '</trt:GetVideoEncoderConfiguration>';
+    let soapBody = this._buildBody({
+        'trt:GetVideoEncoderConfiguration': {
+            'trt:ConfigurationToken': configurationToken
+        }
+    });
 
-    return this.sendRequest('GetVideoEncoderConfiguration', soapBody)
+    return this.sendRequest('GetVideoEncoderConfiguration', soapBody, options)
         .then(data => this.parseVideoEncoderConfiguration(data['Configuration']));
 };
 
 /* ------------------------------------------------------------------
-* Method: setVideoEncoderConfiguration(configurationToken, configuration)
+* Method: setVideoEncoderConfiguration(configurationToken, configuration[, options])
 * - configurationToken | String | required | a token of the configuration
 * - configuration | Object | required | The new configuration object
 *
 * Source:
 *   75: SetVideoEncoderConfiguration, https://www.onvif.org/ver10/media/wsdl/media.wsdl
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.setVideoEncoderConfiguration = function(configurationToken, config) {
+OnvifServiceMedia.prototype.setVideoEncoderConfiguration = function(configurationToken, config, options) {
     if (!this.validateConfigurationToken(configurationToken)) throw this.getLastError();
     if (!this.validateVideoEncoderConfiguration(config)) throw this.getLastError();
 
@@ -573,126 +628,118 @@ OnvifServiceMedia.prototype.setVideoEncoderConfiguration = function(configuratio
         h264
     } = config;
 
-    let resolutionBody = ``;
-    resolutionBody += `<tt:Width>${resolution.width}</tt:Width>`;
-    resolutionBody += `<tt:Height>${resolution.height}</tt:Height>`;
-
-    let rateControlBody = ``;
-    if ((typeof rateControl) === 'object') {
-        rateControlBody += `<tt:FrameRateLimit>${rateControl.frameRateLimit}</tt:FrameRateLimit>`;
-        rateControlBody += `<tt:EncodingInterval>${rateControl.encodingInterval}</tt:EncodingInterval>`;
-        rateControlBody += `<tt:BitrateLimit>${rateControl.bitrateLimit}</tt:BitrateLimit>`;
-    }
-
-    let mpeg4Body = ``;
-    if ((typeof mpeg4Body) === 'object') {
-        mpeg4Body += `<tt:GovLength>${mpeg4.govLength}</tt:GovLength>`;
-        mpeg4Body += `<tt:Mpeg4Profile>${mpeg4.mpeg4Profile}</tt:Mpeg4Profile>`;
-    }
-
-    let h264Body = ``;
-    if ((typeof h264) === 'object') {
-        h264Body += `<tt:GovLength>${h264.govLength}</tt:GovLength>`;
-        h264Body += `<tt:H264Profile>${h264.h264Profile}</tt:H264Profile>`;
-    }
+    let soapBody = this._buildBody({
+        'trt:SetVideoEncoderConfiguration': {
+            'trt:Configuration': {
+                '$': {'token': configurationToken},
+                'tt:Name': name,
+                'tt:UseCount': 0,
+                'tt:Encoding': encoding,
+                'tt:Resolution': {
+                    'tt:Width': resolution.width,
+                    'tt:Height': resolution.height
+                },
+                'tt:Quality': quality,
+                'tt:RateControl': !rateControl ? null : {
+                    'tt:FrameRateLimit': rateControl.frameRateLimit,
+                    'tt:EncodingInterval': rateControl.encodingInterval,
+                    'tt:BitrateLimit': rateControl.bitrateLimit
+                },
+                'tt:MPEG4': (encoding !== 'MPEG4' || !mpeg4) ? null : {
+                    'tt:GovLength': mpeg4.govLength,
+                    'tt:Mpeg4Profile': mpeg4.mpeg4Profile
+                },
+                'tt:H264': (encoding !== 'H264' || !h264) ? null : {
+                    'tt:GovLength': h264.govLength,
+                    'tt:H264Profile': h264.h264Profile
+                },
+                'tt:Multicast': {
+                    'tt:Address': {
+                        'tt:Type': multicast.address.type,
+                        'tt:IPv4Address': (multicast.address.type === 'IPv4') ? multicast.address.ipv4Address : null,
+                        'tt:IPv6Address': (multicast.address.type === 'IPv6') ? multicast.address.ipv6Address : null
+                    },
+                    'tt:Port': multicast.port,
+                    'tt:TTL': multicast.ttl,
+                    'tt:AutoStart': multicast.autoStart
+                },
+                'tt:SessionTimeout': sessionTimeout
+            },
+            'trt:ForcePersistence': true
+        }
+    });
 
-    let addressBody = ``;
-    addressBody += `<tt:Type>${multicast.address.type}</tt:Type>`;
-    addressBody += (multicast.address.type === 'IPv4') ? `<tt:IPv4Address>${multicast.address.ipv4Address}</tt:IPv4Address>` : ``;
-    addressBody += (multicast.address.type === 'IPv6') ? `<tt:IPv6Address>${multicast.address.ipv6Address}</tt:IPv6Address>` : ``;
-
-    let multicastBody = ``;
-    multicastBody += `<tt:Address>${addressBody}</tt:Address>`;
-    multicastBody += `<tt:Port>${multicast.port}</tt:Port>`;
-    multicastBody += `<tt:TTL>${multicast.ttl}</tt:TTL>`;
-    multicastBody += `<tt:AutoStart>${multicast.autoStart}</tt:AutoStart>`;
-
-    let configBody = ``;
-    configBody += `<tt:Name>${name}</tt:Name>`;
-    configBody += `<tt:UseCount>0</tt:UseCount>`;
-    configBody += `<tt:Encoding>${encoding}</tt:Encoding>`;
-    configBody += `<tt:Resolution>${resolutionBody}</tt:Resolution>`;
-    configBody += `<tt:Quality>${quality}</tt:Quality>`;
-    configBody += rateControl ? `<tt:RateControl>${rateControlBody}</tt:RateControl>` : ``;
-    configBody += (encoding === 'MPEG4') ? `<tt:MPEG4>${mpeg4Body}</tt:MPEG4>` : ``;
-    configBody += (encoding === 'H264') ? `<tt:H264>${h264Body}</tt:H264>` : ``;
-    configBody += `<tt:Multicast>${multicastBody}</tt:Multicast>`;
-    configBody += `<tt:SessionTimeout>${sessionTimeout}</tt:SessionTimeout>`;
-
-    let soapBody = ``;
-    soapBody += `<trt:SetVideoEncoderConfiguration>`;
-    soapBody += `<trt:Configuration token="${configurationToken}">${configBody}</trt:Configuration>`;
-    soapBody += '<trt:ForcePersistence>true</trt:ForcePersistence>';
-    soapBody += '</trt:SetVideoEncoderConfiguration>';
-
-    return this.sendRequest('SetVideoEncoderConfiguration', soapBody);
+    return this.sendRequest('SetVideoEncoderConfiguration', soapBody, options);
 };
 
 /* ------------------------------------------------------------------
-* Method: addVideoEncoderConfiguration(profileToken, configurationToken)
+* Method: addVideoEncoderConfiguration(profileToken, configurationToken[, options])
 * - profileToken | String | required | The associate profile token
 * - configurationToken | String | required | a token of the configuration
 *
 * Source:
 *   8: AddVideoEncoderConfiguration, https://www.onvif.org/ver10/media/wsdl/media.wsdl
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.addVideoEncoderConfiguration = function(profileToken, configurationToken) {
+OnvifServiceMedia.prototype.addVideoEncoderConfiguration = function(profileToken, configurationToken, options) {
     if (!this.validateProfileToken(profileToken)) throw this.getLastError();
     if (!this.validateConfigurationToken(configurationToken)) throw this.getLastError();
 
-    let soapBody = '';
-    soapBody += '<trt:AddVideoEncoderConfiguration>';
-    soapBody += `<trt:ProfileToken>${profileToken}</trt:ProfileToken>`;
-    soapBody += `<trt:ConfigurationToken>${configurationToken}</trt:ConfigurationToken>`;
-    soapBody += '</trt:AddVideoEncoderConfiguration>';
+    let soapBody = this._buildBody({
+        'trt:AddVideoEncoderConfiguration': {
+            'trt:ProfileToken': profileToken,
+            'trt:ConfigurationToken': configurationToken
+        }
+    });
 
-    return this.sendRequest('AddVideoEncoderConfiguration', soapBody);
+    return this.sendRequest('AddVideoEncoderConfiguration', soapBody, options);
 };
 
 /* ------------------------------------------------------------------
-* Method: addVideoSourceConfiguration(profileToken, configurationToken)
+* Method: addVideoSourceConfiguration(profileToken, configurationToken[, options])
 * - profileToken | String | required | The associate profile token
 * - configurationToken | String | required | a token of the configuration
 *
 * Source:
 *   9: AddVideoSourceConfiguration, https://www.onvif.org/ver10/media/wsdl/media.wsdl
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.addVideoSourceConfiguration = function(profileToken, configurationToken) {
+OnvifServiceMedia.prototype.addVideoSourceConfiguration = function(profileToken, configurationToken, options) {
     if (!this.validateConfigurationToken(configurationToken)) throw this.getLastError();
     if (!this.validateProfileToken(profileToken)) throw this.getLastError();
 
-    let soapBody = '';
-    soapBody += '<trt:AddVideoSourceConfiguration>';
-    soapBody += `<trt:ProfileToken>${profileToken}</trt:ProfileToken>`;
-    soapBody += `<trt:ConfigurationToken>${configurationToken}</trt:ConfigurationToken>`;
-    soapBody += '</trt:AddVideoSourceConfiguration>';
+    let soapBody = this._buildBody({
+        'trt:AddVideoSourceConfiguration': {
+            'trt:ProfileToken': profileToken,
+            'trt:ConfigurationToken': configurationToken
+        }
+    });
 
-    return this.sendRequest('AddVideoSourceConfiguration', soapBody);
+    return this.sendRequest('AddVideoSourceConfiguration', soapBody, options);
 };
 
 /* ------------------------------------------------------------------
-* Method: getCompatibleVideoEncoderConfigurations(profileToken)
+* Method: getCompatibleVideoEncoderConfigurations(profileToken[, options])
 * - profileToken | String | required | a token of the profile
 *
 * Source:
 *   34: GetCompatibleVideoEncoderConfigurations, https://www.onvif.org/ver10/media/wsdl/media.wsdl
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getCompatibleVideoEncoderConfigurations = function (profileToken) {
+OnvifServiceMedia.prototype.getCompatibleVideoEncoderConfigurations = function (profileToken, options) {
     if (!this.validateProfileToken(profileToken)) throw this.getLastError();
 
-    let soapBody = '';
-    soapBody += '<trt:GetCompatibleVideoEncoderConfigurations>';
-    soapBody += `<trt:ProfileToken>${profileToken}</trt:ProfileToken>`;
-    soapBody += '</trt:GetCompatibleVideoEncoderConfigurations>';
+    let soapBody = this._buildBody({
+        'trt:GetCompatibleVideoEncoderConfigurations': {
+            'trt:ProfileToken': profileToken
+        }
+    });
 
-    return this.sendRequest('GetCompatibleVideoEncoderConfigurations', soapBody)
+    return this.sendRequest('GetCompatibleVideoEncoderConfigurations', soapBody, options)
         .then(data => data['Configurations'])
         .then(this.ensureArray)
         .then(data => data.map(config => this.parseVideoEncoderConfiguration(config)));
 };
 
 /* ------------------------------------------------------------------
-* Method: getVideoEncoderConfigurationOptions(params)
+* Method: getVideoEncoderConfigurationOptions(params[, options])
 * - params:
 *   - profileToken       | String | optional | a token of the profile
 *   - configurationToken | String | optional | a token of the configuration
@@ -700,188 +747,188 @@ OnvifServiceMedia.prototype.getCompatibleVideoEncoderConfigurations = function (
 * Source:
 *   51: GetVideoEncoderConfigurationOptions, https://www.onvif.org/ver10/media/wsdl/media.wsdl
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getVideoEncoderConfigurationOptions = function (params) {
-    let soapBody = '';
-    soapBody += '<trt:GetVideoEncoderConfigurationOptions>';
-
-    if (params) {
-        if ('profileToken' in params && helpers.isStringValue(params.profileToken)) {
-            soapBody += `<trt:ProfileToken>${params.profileToken}</trt:ProfileToken>`;
+OnvifServiceMedia.prototype.getVideoEncoderConfigurationOptions = function (params, options) {
+    params = params || {};
+    let soapBody = this._buildBody({
+        'trt:GetVideoEncoderConfigurationOptions': {
+            'trt:ProfileToken': helpers.isStringValue(params.profileToken) ? params.profileToken : null,
+            'trt:ConfigurationToken': helpers.isStringValue(params.configurationToken) ? params.configurationToken : null
         }
-        if ('configurationToken' in params && helpers.isStringValue(params.configurationToken)) {
-            soapBody += `<trt:ConfigurationToken>${params.configurationToken}</trt:ConfigurationToken>`;
-        }
-    }
-
-    soapBody += '</trt:GetVideoEncoderConfigurationOptions>';
+    });
 
-    return this.sendRequest('GetVideoEncoderConfigurationOptions', soapBody)
+    return this.sendRequest('GetVideoEncoderConfigurationOptions', soapBody, options)
         .then(data => this.parseVideoEncoderConfigurationOptions(data['Options']));
 };
 
 /* ------------------------------------------------------------------
-* Method: getGuaranteedNumberOfVideoEncoderInstances(configurationToken)
+* Method: getGuaranteedNumberOfVideoEncoderInstances(configurationToken[, options])
 * - configurationToken | String | required | a token of the configuration
 *
 * Source:
 *   36: GetGuaranteedNumberOfVideoEncoderInstances, https://www.onvif.org/ver10/media/wsdl/media.wsdl
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getGuaranteedNumberOfVideoEncoderInstances = function(configurationToken) {
+OnvifServiceMedia.prototype.getGuaranteedNumberOfVideoEncoderInstances = function(configurationToken, options) {
     if (!this.validateConfigurationToken(configurationToken)) throw this.getLastError();
 
-    let soapBody = '';
-    soapBody += '<trt:GetGuaranteedNumberOfVideoEncoderInstances>';
-    soapBody += `<trt:ConfigurationToken>${configurationToken}</trt:ConfigurationToken>`;
-    soapBody += '</trt:GetGuaranteedNumberOfVideoEncoderInstances>';
+    let soapBody = this._buildBody({
+        'trt:GetGuaranteedNumberOfVideoEncoderInstances': {
+            'trt:ConfigurationToken': configurationToken
+        }
+    });
 
-    return this.sendRequest('GetGuaranteedNumberOfVideoEncoderInstances', soapBody)
+    return this.sendRequest('GetGuaranteedNumberOfVideoEncoderInstances', soapBody, options)
         .then(this.parseGuaranteedNumberOfVideoEncoderInstances);
 };
 
 /* ------------------------------------------------------------------
-* Method: getProfiles()
+* Method: getProfiles([options])
 *
 * Source:
 *   44: GetProfiles, https://www.onvif.org/ver10/media/wsdl/media.wsdl
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getProfiles = function() {
-    let soapBody = '<trt:GetProfiles/>';
+OnvifServiceMedia.prototype.getProfiles = function(options) {
+    let soapBody = this._buildBody({'trt:GetProfiles': {}});
 
-    return this.sendRequest('GetProfiles', soapBody)
+    return this.sendRequest('GetProfiles', soapBody, options)
         .then(data => data['Profiles'])
         .then(this.ensureArray)
         .then(data => data.map(profile => this.parseProfile(profile)));
 };
 
 /* ------------------------------------------------------------------
-* Method: getProfile(profileToken)
+* Method: getProfile(profileToken[, options])
 * - profileToken | required | a token of the profile
 *
 * Source:
 *   43: GetProfile, https://www.onvif.org/ver10/media/wsdl/media.wsdl
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getProfile = function (profileToken) {
+OnvifServiceMedia.prototype.getProfile = function (profileToken, options) {
     if (!this.validateProfileToken(profileToken)) throw this.getLastError();
 
-    let soapBody = '';
-    soapBody += '<trt:GetProfile>';
-    soapBody += `<trt:ProfileToken>${profileToken}</trt:ProfileToken>`;
-    soapBody += '</trt:GetProfile>';
+    let soapBody = this._buildBody({
+        'trt:GetProfile': {
+            'trt:ProfileToken': profileToken
+        }
+    });
 
-    return this.sendRequest('GetProfile', soapBody)
+    return this.sendRequest('GetProfile', soapBody, options)
         .then(data => this.parseProfile(data['Profile']));
 };
 
 /* ------------------------------------------------------------------
-* Method: createProfile(profileName, profileToken)
+* Method: createProfile(profileName, profileToken[, options])
 * - profileName  | String | required | a name of the profile
 * - profileToken | String | optional | a token of the profile
 *
 * Source:
 *   11: CreateProfile, https://www.onvif.org/ver10/media/wsdl/media.wsdl
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.createProfile = function (profileName, profileToken) {
+OnvifServiceMedia.prototype.createProfile = function (profileName, profileToken, options) {
     if (!this.validateProfileName(profileName)) throw this.getLastError();
     if (!this.validateProfileToken(profileToken, true)) throw this.getLastError();
 
-    let soapBody = '';
-    soapBody += '<trt:CreateProfile>';
-    soapBody += `<trt:Name>${profileName}</trt:Name>`;
-    soapBody += profileToken ? `<trt:Token>${profileToken}</trt:Token>` : '';
-    soapBody += '</trt:CreateProfile>';
+    let soapBody = this._buildBody({
+        'trt:CreateProfile': {
+            'trt:Name': profileName,
+            'trt:Token': profileToken || null
+        }
+    });
 
-    return this.sendRequest('CreateProfile', soapBody)
+    return this.sendRequest('CreateProfile', soapBody, options)
         .then(data => this.parseProfile(data['Profile']));
 };
 
 /* ------------------------------------------------------------------
-* Method: deleteProfile(profileToken)
+* Method: deleteProfile(profileToken[, options])
 * - profileToken | String | required |
 *
 * Source:
 *   13: DeleteProfile, https://www.onvif.org/ver10/media/wsdl/media.wsdl
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.deleteProfile = function (profileToken) {
+OnvifServiceMedia.prototype.deleteProfile = function (profileToken, options) {
     if (!this.validateProfileToken(profileToken)) throw this.getLastError();
 
-    let soapBody = '';
-    soapBody += '<trt:DeleteProfile>';
-    soapBody += `<trt:ProfileToken>${profileToken}</trt:ProfileToken>`;
-    soapBody += '</trt:DeleteProfile>';
+    let soapBody = this._buildBody({
+        'trt:DeleteProfile': {
+            'trt:ProfileToken': profileToken
+        }
+    });
 
-    return this.sendRequest('DeleteProfile', soapBody);
+    return this.sendRequest('DeleteProfile', soapBody, options);
 };
 
 /* ------------------------------------------------------------------
-* Method: getVideoSources()
+* Method: getVideoSources([options])
 *
 * Source:
 *   57: GetVideoSources, https://www.onvif.org/ver10/media/wsdl/media.wsdl
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getVideoSources = function () {
-    let soapBody = '<trt:GetVideoSources/>';
+OnvifServiceMedia.prototype.getVideoSources = function (options) {
+    let soapBody = this._buildBody({'trt:GetVideoSources': {}});
 
-    return this.sendRequest('GetVideoSources', soapBody);
+    return this.sendRequest('GetVideoSources', soapBody, options);
     // TODO: Parse the video sources response data
 };
 
 /* ------------------------------------------------------------------
-* Method: getVideoSourceConfiguration(configurationToken)
+* Method: getVideoSourceConfiguration(configurationToken[, options])
 * - configurationToken | String | required |
 *
 * Source:
 *   53: GetVideoSourceConfiguration, https://www.onvif.org/ver10/media/wsdl/media.wsdl
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getVideoSourceConfiguration = function (configurationToken) {
+OnvifServiceMedia.prototype.getVideoSourceConfiguration = function (configurationToken, options) {
     if (!this.validateConfigurationToken(configurationToken)) throw this.getLastError();
 
-    let soapBody = '';
-    soapBody += '<trt:GetVideoSourceConfiguration>';
-    soapBody += `<trt:ConfigurationToken>${configurationToken}</trt:ConfigurationToken>`;
-    soapBody += '</trt:GetVideoSourceConfiguration>';
+    let soapBody = this._buildBody({
+        'trt:GetVideoSourceConfiguration': {
+            'trt:ConfigurationToken': configurationToken
+        }
+    });
 
-    return this.sendRequest('GetVideoSourceConfiguration', soapBody)
+    return this.sendRequest('GetVideoSourceConfiguration', soapBody, options)
         .then(data => this.parseVideoSourceConfiguration(data['Configuration']));
 };
 
 /* ------------------------------------------------------------------
-* Method: getVideoSourceConfigurations()
+* Method: getVideoSourceConfigurations([options])
 *
 * Sources:
 *   55: GetVideoSourceConfigurations, https://www.onvif.org/ver10/media/wsdl/media.wsdl
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getVideoSourceConfigurations = function () {
-    let soapBody = '<trt:GetVideoSourceConfigurations/>';
+OnvifServiceMedia.prototype.getVideoSourceConfigurations = function (options) {
+    let soapBody = this._buildBody({'trt:GetVideoSourceConfigurations': {}});
 
-    return this.sendRequest('GetVideoSourceConfigurations', soapBody)
+    return this.sendRequest('GetVideoSourceConfigurations', soapBody, options)
         .then(data => data['Configurations'])
         .then(this.ensureArray)
         .then(data => data.map(config => this.parseVideoSourceConfiguration(config)));
 };
 
 /* ------------------------------------------------------------------
-* Method: getCompatibleVideoSourceConfigurations(profileToken)
+* Method: getCompatibleVideoSourceConfigurations(profileToken[, options])
 * - profileToken | String | required | a token of the profile
 *
 * Source:
 *   35: GetCompatibleVideoSourceConfigurations, https://www.onvif.org/ver10/media/wsdl/media.wsdl
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getCompatibleVideoSourceConfigurations = function(profileToken) {
+OnvifServiceMedia.prototype.getCompatibleVideoSourceConfigurations = function(profileToken, options) {
     if (!this.validateProfileToken(profileToken)) throw this.getLastError();
 
-    let soapBody = '';
-    soapBody += '<trt:GetCompatibleVideoSourceConfigurations>';
-    soapBody += `<trt:ProfileToken>${profileToken}</trt:ProfileToken>`;
-    soapBody += '</trt:GetCompatibleVideoSourceConfigurations>';
+    let soapBody = this._buildBody({
+        'trt:GetCompatibleVideoSourceConfigurations': {
+            'trt:ProfileToken': profileToken
+        }
+    });
 
-    return this.sendRequest('GetCompatibleVideoSourceConfigurations', soapBody)
+    return this.sendRequest('GetCompatibleVideoSourceConfigurations', soapBody, options)
         .then(data => data['Configurations'])
         .then(this.ensureArray)
         .then(data => data.map(config => this.parseVideoSourceConfiguration(config)));
 };
 
 /* ------------------------------------------------------------------
-* Method: getVideoSourceConfigurationOptions(params)
+* Method: getVideoSourceConfigurationOptions(params[, options])
 * - params:
 *   - profileToken       | optional | a token of the Profile
 *   - configurationToken | optional | a token of the configuration
@@ -889,26 +936,21 @@ OnvifServiceMedia.prototype.getCompatibleVideoSourceConfigurations = function(pr
 * Source:
 *   54: GetVideoSourceConfigurationOptions, https://www.onvif.org/ver10/media/wsdl/media.wsdl
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getVideoSourceConfigurationOptions = function(params) {
-    let soapBody = '';
-    soapBody += '<trt:GetVideoSourceConfigurationOptions>';
-
-    if (params) {
-        if ('profileToken' in params && helpers.isStringValue(params.profileToken)) {
-            soapBody += `<trt:ProfileToken>${params.profileToken}</trt:ProfileToken>`;
-        }
-        if ('configurationToken' in params && helpers.isStringValue(params.configurationToken)) {
-            soapBody += `<trt:ConfigurationToken>${params.configurationToken}</trt:ConfigurationToken>`;
+OnvifServiceMedia.prototype.getVideoSourceConfigurationOptions = function(params, options) {
+    params = params || {};
+    let soapBody = this._buildBody({
+        'trt:GetVideoSourceConfigurationOptions': {
+            'trt:ProfileToken': helpers.isStringValue(params.profileToken) ? params.profileToken : null,
+            'trt:ConfigurationToken': helpers.isStringValue(params.configurationToken) ? params.configurationToken : null
         }
-    }
-    soapBody += '</trt:GetVideoSourceConfigurationOptions>';
+    });
 
-    return this.sendRequest('GetVideoSourceConfigurationOptions', soapBody)
+    return this.sendRequest('GetVideoSourceConfigurationOptions', soapBody, options)
         .then(data => this.parseVideoSourceConfigurationOptions(data['Options']));
 };
 
 /* ------------------------------------------------------------------
-* Method: getMetadataConfiguration(params[, callback])
+* Method: getMetadataConfiguration(params[, options][, callback])
 * - params:
 *   - ConfigurationToken | required | 
 *
@@ -916,7 +958,11 @@ OnvifServiceMedia.prototype.getVideoSourceConfigurationOptions = function(params
 *   'ConfigurationToken': 'Conf1'
 * }
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getMetadataConfiguration = function(params, callback) {
+OnvifServiceMedia.prototype.getMetadataConfiguration = function(params, options, callback) {
+    if(typeof(options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
     let promise = new Promise((resolve, reject) => {
         let err_msg = '';
         if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -929,13 +975,13 @@ OnvifServiceMedia.prototype.getMetadataConfiguration = function(params, callback
             return;
         }
 
-        let soap_body = '';
-        soap_body += '<trt:GetMetadataConfiguration>';
-        soap_body +=   '<trt:ConfigurationToken>' + params['ConfigurationToken'] + '</trt:ConfigurationToken>';
-        soap_body += '</trt:GetMetadataConfiguration>';
-        let soap = this._createRequestSoap(soap_body);
+        let soap_body = this._buildBody({
+            'trt:GetMetadataConfiguration': {
+                'trt:ConfigurationToken': params['ConfigurationToken']
+            }
+        });
 
-        mOnvifSoap.requestCommand(this.oxaddr, 'GetMetadataConfiguration', soap).then((result) => {
+        mOnvifSoap.requestCommand(this.oxaddr, 'GetMetadataConfiguration', () => this._createRequestSoap(soap_body), options).then((result) => {
             resolve(result);
         }).catch((error) => {
             reject(error);
@@ -953,13 +999,16 @@ OnvifServiceMedia.prototype.getMetadataConfiguration = function(params, callback
 };
 
 /* ------------------------------------------------------------------
-* Method: getMetadataConfigurations([callback])
+* Method: getMetadataConfigurations([options][, callback])
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getMetadataConfigurations = function(callback) {
+OnvifServiceMedia.prototype.getMetadataConfigurations = function(options, callback) {
+    if(typeof(options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
     let promise = new Promise((resolve, reject) => {
-        let soap_body = '<trt:GetMetadataConfigurations/>';
-        let soap = this._createRequestSoap(soap_body);
-        mOnvifSoap.requestCommand(this.oxaddr, 'GetMetadataConfigurations', soap).then((result) => {
+        let soap_body = this._buildBody({'trt:GetMetadataConfigurations': {}});
+        mOnvifSoap.requestCommand(this.oxaddr, 'GetMetadataConfigurations', () => this._createRequestSoap(soap_body), options).then((result) => {
             resolve(result);
         }).catch((error) => {
             reject(error);
@@ -977,7 +1026,7 @@ OnvifServiceMedia.prototype.getMetadataConfigurations = function(callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: addMetadataConfiguration(params[, callback])
+* Method: addMetadataConfiguration(params[, options][, callback])
 * - params:
 *   - ProfileToken       | String | required | a token of the Profile
 *   - ConfigurationToken | String | required | 
@@ -989,7 +1038,11 @@ OnvifServiceMedia.prototype.getMetadataConfigurations = function(callback) {
 *
 * No device I own does not support this command
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.addMetadataConfiguration = function(params, callback) {
+OnvifServiceMedia.prototype.addMetadataConfiguration = function(params, options, callback) {
+    if(typeof(options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
     let promise = new Promise((resolve, reject) => {
         let err_msg = '';
         if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -1007,14 +1060,14 @@ OnvifServiceMedia.prototype.addMetadataConfiguration = function(params, callback
             return;
         }
 
-        let soap_body = '';
-        soap_body += '<trt:AddMetadataConfiguration>';
-        soap_body +=   '<trt:ProfileToken>' + params['ProfileToken'] + '</trt:ProfileToken>';
-        soap_body +=   '<trt:ConfigurationToken>' + params['ConfigurationToken'] + '</trt:ConfigurationToken>';
-        soap_body += '</trt:AddMetadataConfiguration>';
-        let soap = this._createRequestSoap(soap_body);
+        let soap_body = this._buildBody({
+            'trt:AddMetadataConfiguration': {
+                'trt:ProfileToken': params['ProfileToken'],
+                'trt:ConfigurationToken': params['ConfigurationToken']
+            }
+        });
 
-        mOnvifSoap.requestCommand(this.oxaddr, 'AddMetadataConfiguration', soap).then((result) => {
+        mOnvifSoap.requestCommand(this.oxaddr, 'AddMetadataConfiguration', () => this._createRequestSoap(soap_body), options).then((result) => {
             resolve(result);
         }).catch((error) => {
             reject(error);
@@ -1032,7 +1085,7 @@ OnvifServiceMedia.prototype.addMetadataConfiguration = function(params, callback
 };
 
 /* ------------------------------------------------------------------
-* Method: getCompatibleMetadataConfigurations(params[, callback])
+* Method: getCompatibleMetadataConfigurations(params[, options][, callback])
 * - params:
 *   - ProfileToken | String | required | a token of the Profile
 *
@@ -1040,7 +1093,11 @@ OnvifServiceMedia.prototype.addMetadataConfiguration = function(params, callback
 *   'ProfileToken': 'Profile1'
 * }
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getCompatibleMetadataConfigurations = function(params, callback) {
+OnvifServiceMedia.prototype.getCompatibleMetadataConfigurations = function(params, options, callback) {
+    if(typeof(options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
     let promise = new Promise((resolve, reject) => {
         let err_msg = '';
         if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -1053,13 +1110,13 @@ OnvifServiceMedia.prototype.getCompatibleMetadataConfigurations = function(param
             return;
         }
 
-        let soap_body = '';
-        soap_body += '<trt:GetCompatibleMetadataConfigurations>';
-        soap_body +=   '<trt:ProfileToken>' + params['ProfileToken'] + '</trt:ProfileToken>';
-        soap_body += '</trt:GetCompatibleMetadataConfigurations>';
-        let soap = this._createRequestSoap(soap_body);
+        let soap_body = this._buildBody({
+            'trt:GetCompatibleMetadataConfigurations': {
+                'trt:ProfileToken': params['ProfileToken']
+            }
+        });
 
-        mOnvifSoap.requestCommand(this.oxaddr, 'GetCompatibleMetadataConfigurations', soap).then((result) => {
+        mOnvifSoap.requestCommand(this.oxaddr, 'GetCompatibleMetadataConfigurations', () => this._createRequestSoap(soap_body), options).then((result) => {
             resolve(result);
         }).catch((error) => {
             reject(error);
@@ -1077,7 +1134,7 @@ OnvifServiceMedia.prototype.getCompatibleMetadataConfigurations = function(param
 };
 
 /* ------------------------------------------------------------------
-* Method: getMetadataConfigurationOptions(params[, callback])
+* Method: getMetadataConfigurationOptions(params[, options][, callback])
 * - params:
 *   - ProfileToken       | String | optional | a token of the Profile
 *   - ConfigurationToken | String | optional | 
@@ -1087,7 +1144,11 @@ OnvifServiceMedia.prototype.getCompatibleMetadataConfigurations = function(param
 *   'ConfigurationToken': 'Conf1'
 * }
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getMetadataConfigurationOptions = function(params, callback) {
+OnvifServiceMedia.prototype.getMetadataConfigurationOptions = function(params, options, callback) {
+    if(typeof(options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
     let promise = new Promise((resolve, reject) => {
         let err_msg = '';
         if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -1109,18 +1170,14 @@ OnvifServiceMedia.prototype.getMetadataConfigurationOptions = function(params, c
             }
         }
 
-        let soap_body = '';
-        soap_body += '<trt:GetMetadataConfigurationOptions>';
-        if('ProfileToken' in params) {
-            soap_body += '<trt:ProfileToken>' + params['ProfileToken'] + '</trt:ProfileToken>';
-        }
-        if('ConfigurationToken' in params) {
-            soap_body += '<trt:ConfigurationToken>' + params['ConfigurationToken'] + '</trt:ConfigurationToken>';
-        }
-        soap_body += '</trt:GetMetadataConfigurationOptions>';
-        let soap = this._createRequestSoap(soap_body);
+        let soap_body = this._buildBody({
+            'trt:GetMetadataConfigurationOptions': {
+                'trt:ProfileToken': params['ProfileToken'],
+                'trt:ConfigurationToken': params['ConfigurationToken']
+            }
+        });
 
-        mOnvifSoap.requestCommand(this.oxaddr, 'GetMetadataConfigurationOptions', soap).then((result) => {
+        mOnvifSoap.requestCommand(this.oxaddr, 'GetMetadataConfigurationOptions', () => this._createRequestSoap(soap_body), options).then((result) => {
             resolve(result);
         }).catch((error) => {
             reject(error);
@@ -1138,13 +1195,16 @@ OnvifServiceMedia.prototype.getMetadataConfigurationOptions = function(params, c
 };
 
 /* ------------------------------------------------------------------
-* Method: getAudioSources([callback])
+* Method: getAudioSources([options][, callback])
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getAudioSources = function(callback) {
+OnvifServiceMedia.prototype.getAudioSources = function(options, callback) {
+    if(typeof(options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
     let promise = new Promise((resolve, reject) => {
-        let soap_body = '<trt:GetAudioSources/>';
-        let soap = this._createRequestSoap(soap_body);
-        mOnvifSoap.requestCommand(this.oxaddr, 'GetAudioSources', soap).then((result) => {
+        let soap_body = this._buildBody({'trt:GetAudioSources': {}});
+        mOnvifSoap.requestCommand(this.oxaddr, 'GetAudioSources', () => this._createRequestSoap(soap_body), options).then((result) => {
             resolve(result);
         }).catch((error) => {
             reject(error);
@@ -1162,7 +1222,7 @@ OnvifServiceMedia.prototype.getAudioSources = function(callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getAudioSourceConfiguration(params[, callback])
+* Method: getAudioSourceConfiguration(params[, options][, callback])
 * - params:
 *   - ConfigurationToken | String | required | 
 *
@@ -1170,7 +1230,11 @@ OnvifServiceMedia.prototype.getAudioSources = function(callback) {
 *   'ConfigurationToken': 'Conf1'
 * }
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getAudioSourceConfiguration = function(params, callback) {
+OnvifServiceMedia.prototype.getAudioSourceConfiguration = function(params, options, callback) {
+    if(typeof(options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
     let promise = new Promise((resolve, reject) => {
         let err_msg = '';
         if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -1183,13 +1247,13 @@ OnvifServiceMedia.prototype.getAudioSourceConfiguration = function(params, callb
             return;
         }
 
-        let soap_body = '';
-        soap_body += '<trt:GetAudioSourceConfiguration>';
-        soap_body += '<trt:ConfigurationToken>' + params['ConfigurationToken'] + '</trt:ConfigurationToken>';
-        soap_body += '</trt:GetAudioSourceConfiguration>';
-        let soap = this._createRequestSoap(soap_body);
+        let soap_body = this._buildBody({
+            'trt:GetAudioSourceConfiguration': {
+                'trt:ConfigurationToken': params['ConfigurationToken']
+            }
+        });
 
-        mOnvifSoap.requestCommand(this.oxaddr, 'GetAudioSourceConfiguration', soap).then((result) => {
+        mOnvifSoap.requestCommand(this.oxaddr, 'GetAudioSourceConfiguration', () => this._createRequestSoap(soap_body), options).then((result) => {
             resolve(result);
         }).catch((error) => {
             reject(error);
@@ -1207,13 +1271,16 @@ OnvifServiceMedia.prototype.getAudioSourceConfiguration = function(params, callb
 };
 
 /* ------------------------------------------------------------------
-* Method: getAudioSourceConfigurations([callback])
+* Method: getAudioSourceConfigurations([options][, callback])
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getAudioSourceConfigurations = function(callback) {
+OnvifServiceMedia.prototype.getAudioSourceConfigurations = function(options, callback) {
+    if(typeof(options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
     let promise = new Promise((resolve, reject) => {
-        let soap_body = '<trt:GetAudioSourceConfigurations/>';
-        let soap = this._createRequestSoap(soap_body);
-        mOnvifSoap.requestCommand(this.oxaddr, 'GetAudioSourceConfigurations', soap).then((result) => {
+        let soap_body = this._buildBody({'trt:GetAudioSourceConfigurations': {}});
+        mOnvifSoap.requestCommand(this.oxaddr, 'GetAudioSourceConfigurations', () => this._createRequestSoap(soap_body), options).then((result) => {
             resolve(result);
         }).catch((error) => {
             reject(error);
@@ -1231,7 +1298,7 @@ OnvifServiceMedia.prototype.getAudioSourceConfigurations = function(callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: addAudioSourceConfiguration(params[, callback])
+* Method: addAudioSourceConfiguration(params[, options][, callback])
 * - params:
 *   - ProfileToken       | String | required | a token of the Profile
 *   - ConfigurationToken | String | required |  
@@ -1243,7 +1310,11 @@ OnvifServiceMedia.prototype.getAudioSourceConfigurations = function(callback) {
 *
 * No device I own does not support this command
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.addAudioSourceConfiguration = function(params, callback) {
+OnvifServiceMedia.prototype.addAudioSourceConfiguration = function(params, options, callback) {
+    if(typeof(options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
     let promise = new Promise((resolve, reject) => {
         let err_msg = '';
         if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -1261,14 +1332,14 @@ OnvifServiceMedia.prototype.addAudioSourceConfiguration = function(params, callb
             return;
         }
 
-        let soap_body = '';
-        soap_body += '<trt:AddAudioSourceConfiguration>';
-        soap_body += '<trt:ProfileToken>' + params['ProfileToken'] + '</trt:ProfileToken>';
-        soap_body += '<trt:ConfigurationToken>' + params['ConfigurationToken'] + '</trt:ConfigurationToken>';
-        soap_body += '</trt:AddAudioSourceConfiguration>';
-        let soap = this._createRequestSoap(soap_body);
+        let soap_body = this._buildBody({
+            'trt:AddAudioSourceConfiguration': {
+                'trt:ProfileToken': params['ProfileToken'],
+                'trt:ConfigurationToken': params['ConfigurationToken']
+            }
+        });
 
-        mOnvifSoap.requestCommand(this.oxaddr, 'AddAudioSourceConfiguration', soap).then((result) => {
+        mOnvifSoap.requestCommand(this.oxaddr, 'AddAudioSourceConfiguration', () => this._createRequestSoap(soap_body), options).then((result) => {
             resolve(result);
         }).catch((error) => {
             reject(error);
@@ -1286,7 +1357,7 @@ OnvifServiceMedia.prototype.addAudioSourceConfiguration = function(params, callb
 };
 
 /* ------------------------------------------------------------------
-* Method: getCompatibleAudioSourceConfigurations(params[, callback])
+* Method: getCompatibleAudioSourceConfigurations(params[, options][, callback])
 * - params:
 *   - ProfileToken | String | required | a token of the profile
 *
@@ -1294,7 +1365,11 @@ OnvifServiceMedia.prototype.addAudioSourceConfiguration = function(params, callb
 *   'ProfileToken': 'Profile1'
 * }
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getCompatibleAudioSourceConfigurations = function(params, callback) {
+OnvifServiceMedia.prototype.getCompatibleAudioSourceConfigurations = function(params, options, callback) {
+    if(typeof(options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
     let promise = new Promise((resolve, reject) => {
         let err_msg = '';
         if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -1307,13 +1382,13 @@ OnvifServiceMedia.prototype.getCompatibleAudioSourceConfigurations = function(pa
             return;
         }
 
-        let soap_body = '';
-        soap_body += '<trt:GetCompatibleAudioSourceConfigurations>';
-        soap_body += '<trt:ProfileToken>' + params['ProfileToken'] + '</trt:ProfileToken>';
-        soap_body += '</trt:GetCompatibleAudioSourceConfigurations>';
-        let soap = this._createRequestSoap(soap_body);
+        let soap_body = this._buildBody({
+            'trt:GetCompatibleAudioSourceConfigurations': {
+                'trt:ProfileToken': params['ProfileToken']
+            }
+        });
 
-        mOnvifSoap.requestCommand(this.oxaddr, 'GetCompatibleAudioSourceConfigurations', soap).then((result) => {
+        mOnvifSoap.requestCommand(this.oxaddr, 'GetCompatibleAudioSourceConfigurations', () => this._createRequestSoap(soap_body), options).then((result) => {
             resolve(result);
         }).catch((error) => {
             reject(error);
@@ -1331,7 +1406,7 @@ OnvifServiceMedia.prototype.getCompatibleAudioSourceConfigurations = function(pa
 };
 
 /* ------------------------------------------------------------------
-* Method: getAudioSourceConfigurationOptions(params[, callback])
+* Method: getAudioSourceConfigurationOptions(params[, options][, callback])
 * - params:
 *   - ProfileToken       | String | optional | a token of the Profile
 *   - ConfigurationToken | String | optional | 
@@ -1341,7 +1416,11 @@ OnvifServiceMedia.prototype.getCompatibleAudioSourceConfigurations = function(pa
 *   'ConfigurationToken': 'Conf1'
 * }
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getAudioSourceConfigurationOptions = function(params, callback) {
+OnvifServiceMedia.prototype.getAudioSourceConfigurationOptions = function(params, options, callback) {
+    if(typeof(options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
     let promise = new Promise((resolve, reject) => {
         let err_msg = '';
         if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -1363,18 +1442,14 @@ OnvifServiceMedia.prototype.getAudioSourceConfigurationOptions = function(params
             }
         }
 
-        let soap_body = '';
-        soap_body += '<trt:GetAudioSourceConfigurationOptions>';
-        if('ProfileToken' in params) {
-            soap_body += '<trt:ProfileToken>' + params['ProfileToken'] + '</trt:ProfileToken>';
-        }
-        if('ConfigurationToken' in params) {
-            soap_body += '<trt:ConfigurationToken>' + params['ConfigurationToken'] + '</trt:ConfigurationToken>';
-        }
-        soap_body += '</trt:GetAudioSourceConfigurationOptions>';
-        let soap = this._createRequestSoap(soap_body);
+        let soap_body = this._buildBody({
+            'trt:GetAudioSourceConfigurationOptions': {
+                'trt:ProfileToken': params['ProfileToken'],
+                'trt:ConfigurationToken': params['ConfigurationToken']
+            }
+        });
 
-        mOnvifSoap.requestCommand(this.oxaddr, 'GetAudioSourceConfigurationOptions', soap).then((result) => {
+        mOnvifSoap.requestCommand(this.oxaddr, 'GetAudioSourceConfigurationOptions', () => this._createRequestSoap(soap_body), options).then((result) => {
             resolve(result);
         }).catch((error) => {
             reject(error);
@@ -1392,7 +1467,7 @@ OnvifServiceMedia.prototype.getAudioSourceConfigurationOptions = function(params
 };
 
 /* ------------------------------------------------------------------
-* Method: getAudioEncoderConfiguration(params[, callback])
+* Method: getAudioEncoderConfiguration(params[, options][, callback])
 * - params:
 *   - ConfigurationToken | String | required | 
 *
@@ -1400,7 +1475,11 @@ OnvifServiceMedia.prototype.getAudioSourceConfigurationOptions = function(params
 *   'ConfigurationToken': 'Profile1'
 * }
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getAudioEncoderConfiguration = function(params, callback) {
+OnvifServiceMedia.prototype.getAudioEncoderConfiguration = function(params, options, callback) {
+    if(typeof(options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
     let promise = new Promise((resolve, reject) => {
         let err_msg = '';
         if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -1413,13 +1492,13 @@ OnvifServiceMedia.prototype.getAudioEncoderConfiguration = function(params, call
             return;
         }
 
-        let soap_body = '';
-        soap_body += '<trt:GetAudioEncoderConfiguration>';
-        soap_body += '<trt:ConfigurationToken>' + params['ConfigurationToken'] + '</trt:ConfigurationToken>';
-        soap_body += '</trt:GetAudioEncoderConfiguration>';
-        let soap = this._createRequestSoap(soap_body);
+        let soap_body = this._buildBody({
+            'trt:GetAudioEncoderConfiguration': {
+                'trt:ConfigurationToken': params['ConfigurationToken']
+            }
+        });
 
-        mOnvifSoap.requestCommand(this.oxaddr, 'GetAudioEncoderConfiguration', soap).then((result) => {
+        mOnvifSoap.requestCommand(this.oxaddr, 'GetAudioEncoderConfiguration', () => this._createRequestSoap(soap_body), options).then((result) => {
             resolve(result);
         }).catch((error) => {
             reject(error);
@@ -1437,13 +1516,16 @@ OnvifServiceMedia.prototype.getAudioEncoderConfiguration = function(params, call
 };
 
 /* ------------------------------------------------------------------
-* Method: getAudioEncoderConfigurations([callback])
+* Method: getAudioEncoderConfigurations([options][, callback])
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getAudioEncoderConfigurations = function(callback) {
+OnvifServiceMedia.prototype.getAudioEncoderConfigurations = function(options, callback) {
+    if(typeof(options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
     let promise = new Promise((resolve, reject) => {
-        let soap_body = '<trt:GetAudioEncoderConfigurations/>';
-        let soap = this._createRequestSoap(soap_body);
-        mOnvifSoap.requestCommand(this.oxaddr, 'GetAudioEncoderConfigurations', soap).then((result) => {
+        let soap_body = this._buildBody({'trt:GetAudioEncoderConfigurations': {}});
+        mOnvifSoap.requestCommand(this.oxaddr, 'GetAudioEncoderConfigurations', () => this._createRequestSoap(soap_body), options).then((result) => {
             resolve(result);
         }).catch((error) => {
             reject(error);
@@ -1461,7 +1543,7 @@ OnvifServiceMedia.prototype.getAudioEncoderConfigurations = function(callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: addAudioEncoderConfiguration(params[, callback])
+* Method: addAudioEncoderConfiguration(params[, options][, callback])
 * - params:
 *   - ProfileToken       | String | required | a token of the Profile
 *   - ConfigurationToken | String | required |  
@@ -1473,7 +1555,11 @@ OnvifServiceMedia.prototype.getAudioEncoderConfigurations = function(callback) {
 *
 * Not device I own does not support this command
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.addAudioEncoderConfiguration = function(params, callback) {
+OnvifServiceMedia.prototype.addAudioEncoderConfiguration = function(params, options, callback) {
+    if(typeof(options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
     let promise = new Promise((resolve, reject) => {
         let err_msg = '';
         if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -1491,14 +1577,14 @@ OnvifServiceMedia.prototype.addAudioEncoderConfiguration = function(params, call
             return;
         }
 
-        let soap_body = '';
-        soap_body += '<trt:AddAudioEncoderConfiguration>';
-        soap_body += '<trt:ProfileToken>' + params['ProfileToken'] + '</trt:ProfileToken>';
-        soap_body += '<trt:ConfigurationToken>' + params['ConfigurationToken'] + '</trt:ConfigurationToken>';
-        soap_body += '</trt:AddAudioEncoderConfiguration>';
-        let soap = this._createRequestSoap(soap_body);
+        let soap_body = this._buildBody({
+            'trt:AddAudioEncoderConfiguration': {
+                'trt:ProfileToken': params['ProfileToken'],
+                'trt:ConfigurationToken': params['ConfigurationToken']
+            }
+        });
 
-        mOnvifSoap.requestCommand(this.oxaddr, 'AddAudioEncoderConfiguration', soap).then((result) => {
+        mOnvifSoap.requestCommand(this.oxaddr, 'AddAudioEncoderConfiguration', () => this._createRequestSoap(soap_body), options).then((result) => {
             resolve(result);
         }).catch((error) => {
             reject(error);
@@ -1516,7 +1602,7 @@ OnvifServiceMedia.prototype.addAudioEncoderConfiguration = function(params, call
 };
 
 /* ------------------------------------------------------------------
-* Method: getCompatibleAudioEncoderConfigurations(params[, callback])
+* Method: getCompatibleAudioEncoderConfigurations(params[, options][, callback])
 * - params:
 *   - ProfileToken | String | required | a token of the profile
 *
@@ -1524,7 +1610,11 @@ OnvifServiceMedia.prototype.addAudioEncoderConfiguration = function(params, call
 *   'ProfileToken': 'Profile1'
 * }
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getCompatibleAudioEncoderConfigurations = function(params, callback) {
+OnvifServiceMedia.prototype.getCompatibleAudioEncoderConfigurations = function(params, options, callback) {
+    if(typeof(options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
     let promise = new Promise((resolve, reject) => {
         let err_msg = '';
         if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -1537,13 +1627,13 @@ OnvifServiceMedia.prototype.getCompatibleAudioEncoderConfigurations = function(p
             return;
         }
 
-        let soap_body = '';
-        soap_body += '<trt:GetCompatibleAudioEncoderConfigurations>';
-        soap_body += '<trt:ProfileToken>' + params['ProfileToken'] + '</trt:ProfileToken>';
-        soap_body += '</trt:GetCompatibleAudioEncoderConfigurations>';
-        let soap = this._createRequestSoap(soap_body);
+        let soap_body = this._buildBody({
+            'trt:GetCompatibleAudioEncoderConfigurations': {
+                'trt:ProfileToken': params['ProfileToken']
+            }
+        });
 
-        mOnvifSoap.requestCommand(this.oxaddr, 'GetCompatibleAudioEncoderConfigurations', soap).then((result) => {
+        mOnvifSoap.requestCommand(this.oxaddr, 'GetCompatibleAudioEncoderConfigurations', () => this._createRequestSoap(soap_body), options).then((result) => {
             resolve(result);
         }).catch((error) => {
             reject(error);
@@ -1561,7 +1651,7 @@ OnvifServiceMedia.prototype.getCompatibleAudioEncoderConfigurations = function(p
 };
 
 /* ------------------------------------------------------------------
-* Method: getAudioEncoderConfigurationOptions(params[, callback])
+* Method: getAudioEncoderConfigurationOptions(params[, options][, callback])
 * - params:
 *   - ProfileToken       | String | optional | a token of the Profile
 *   - ConfigurationToken | String | optional | 
@@ -1571,7 +1661,11 @@ OnvifServiceMedia.prototype.getCompatibleAudioEncoderConfigurations = function(p
 *   'ConfigurationToken': 'Conf1'
 * }
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getAudioEncoderConfigurationOptions = function(params, callback) {
+OnvifServiceMedia.prototype.getAudioEncoderConfigurationOptions = function(params, options, callback) {
+    if(typeof(options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
     let promise = new Promise((resolve, reject) => {
         let err_msg = '';
         if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -1593,18 +1687,14 @@ OnvifServiceMedia.prototype.getAudioEncoderConfigurationOptions = function(param
             }
         }
 
-        let soap_body = '';
-        soap_body += '<trt:GetAudioEncoderConfigurationOptions>';
-        if('ProfileToken' in params) {
-            soap_body += '<trt:ProfileToken>' + params['ProfileToken'] + '</trt:ProfileToken>';
-        }
-        if('ConfigurationToken' in params) {
-            soap_body += '<trt:ConfigurationToken>' + params['ConfigurationToken'] + '</trt:ConfigurationToken>';
-        }
-        soap_body += '</trt:GetAudioEncoderConfigurationOptions>';
-        let soap = this._createRequestSoap(soap_body);
+        let soap_body = this._buildBody({
+            'trt:GetAudioEncoderConfigurationOptions': {
+                'trt:ProfileToken': params['ProfileToken'],
+                'trt:ConfigurationToken': params['ConfigurationToken']
+            }
+        });
 
-        mOnvifSoap.requestCommand(this.oxaddr, 'GetAudioEncoderConfigurationOptions', soap).then((result) => {
+        mOnvifSoap.requestCommand(this.oxaddr, 'GetAudioEncoderConfigurationOptions', () => this._createRequestSoap(soap_body), options).then((result) => {
             resolve(result);
         }).catch((error) => {
             reject(error);
@@ -1622,7 +1712,7 @@ OnvifServiceMedia.prototype.getAudioEncoderConfigurationOptions = function(param
 };
 
 /* ------------------------------------------------------------------
-* Method: startMulticastStreaming(params[, callback])
+* Method: startMulticastStreaming(params[, options][, callback])
 * - params:
 *   - ProfileToken | String | required | a token of the Profile
 *
@@ -1632,7 +1722,11 @@ OnvifServiceMedia.prototype.getAudioEncoderConfigurationOptions = function(param
 *
 * No device I own does not support this command
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.startMulticastStreaming = function(params, callback) {
+OnvifServiceMedia.prototype.startMulticastStreaming = function(params, options, callback) {
+    if(typeof(options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
     let promise = new Promise((resolve, reject) => {
         let err_msg = '';
         if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -1645,13 +1739,13 @@ OnvifServiceMedia.prototype.startMulticastStreaming = function(params, callback)
             return;
         }
 
-        let soap_body = '';
-        soap_body += '<trt:StartMulticastStreaming>';
-        soap_body += '<trt:ProfileToken>' + params['ProfileToken'] + '</trt:ProfileToken>';
-        soap_body += '</trt:StartMulticastStreaming>';
-        let soap = this._createRequestSoap(soap_body);
+        let soap_body = this._buildBody({
+            'trt:StartMulticastStreaming': {
+                'trt:ProfileToken': params['ProfileToken']
+            }
+        });
 
-        mOnvifSoap.requestCommand(this.oxaddr, 'StartMulticastStreaming', soap).then((result) => {
+        mOnvifSoap.requestCommand(this.oxaddr, 'StartMulticastStreaming', () => this._createRequestSoap(soap_body), options).then((result) => {
             resolve(result);
         }).catch((error) => {
             reject(error);
@@ -1669,7 +1763,7 @@ OnvifServiceMedia.prototype.startMulticastStreaming = function(params, callback)
 };
 
 /* ------------------------------------------------------------------
-* Method: stopMulticastStreaming(params[, callback])
+* Method: stopMulticastStreaming(params[, options][, callback])
 * - params:
 *   - ProfileToken | String | required | a token of the Profile
 *
@@ -1679,7 +1773,11 @@ OnvifServiceMedia.prototype.startMulticastStreaming = function(params, callback)
 *
 * No device I own does not support this command
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.stopMulticastStreaming = function(params, callback) {
+OnvifServiceMedia.prototype.stopMulticastStreaming = function(params, options, callback) {
+    if(typeof(options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
     let promise = new Promise((resolve, reject) => {
         let err_msg = '';
         if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -1692,13 +1790,13 @@ OnvifServiceMedia.prototype.stopMulticastStreaming = function(params, callback)
             return;
         }
 
-        let soap_body = '';
-        soap_body += '<trt:StopMulticastStreaming>';
-        soap_body += '<trt:ProfileToken>' + params['ProfileToken'] + '</trt:ProfileToken>';
-        soap_body += '</trt:StopMulticastStreaming>';
-        let soap = this._createRequestSoap(soap_body);
+        let soap_body = this._buildBody({
+            'trt:StopMulticastStreaming': {
+                'trt:ProfileToken': params['ProfileToken']
+            }
+        });
 
-        mOnvifSoap.requestCommand(this.oxaddr, 'StopMulticastStreaming', soap).then((result) => {
+        mOnvifSoap.requestCommand(this.oxaddr, 'StopMulticastStreaming', () => this._createRequestSoap(soap_body), options).then((result) => {
             resolve(result);
         }).catch((error) => {
             reject(error);
@@ -1716,46 +1814,94 @@ OnvifServiceMedia.prototype.stopMulticastStreaming = function(params, callback)
 };
 
 /* ------------------------------------------------------------------
-* Method: getSnapshotUri(profileToken)
+* Method: getSnapshotUri(profileToken[, options])
 * - profileToken | String | required | a token of the Profile
 *
 * Source:
 *   46: GetSnapshotUri, https://www.onvif.org/ver10/media/wsdl/media.wsdl
 * ---------------------------------------------------------------- */
-OnvifServiceMedia.prototype.getSnapshotUri = function(profileToken) {
-    let soapBody = '';
-    soapBody += '<trt:GetSnapshotUri>';
-    soapBody += `<trt:ProfileToken>${profileToken}</trt:ProfileToken>`;
-    soapBody += '</trt:GetSnapshotUri>';
+OnvifServiceMedia.prototype.getSnapshotUri = function(profileToken, options) {
+    let soapBody = this._buildBody({
+        'trt:GetSnapshotUri': {
+            'trt:ProfileToken': profileToken
+        }
+    });
 
-    return this.sendRequest('GetSnapshotUri', soapBody)
+    return this.sendRequest('GetSnapshotUri', soapBody, options)
         .then(data => this.parseStreamUri(data['MediaUri']));
 };
 
-OnvifServiceMedia.prototype.getServiceCapabilities = function() {
-    const soapBody = '<trt:GetServiceCapabilities/>';
+OnvifServiceMedia.prototype.getServiceCapabilities = function(options) {
+    const soapBody = this._buildBody({'trt:GetServiceCapabilities': {}});
 
-	return this.sendRequest('GetServiceCapabilities', soapBody)
+	return this.sendRequest('GetServiceCapabilities', soapBody, options)
 		.then(result => result);
 };
 
-OnvifServiceMedia.prototype.getServiceCapabilities2 = function() {
-    const soapBody = '<tr2:GetServiceCapabilities/>';
+OnvifServiceMedia.prototype.getServiceCapabilities2 = function(options) {
+    const soapBody = this._buildBody({'tr2:GetServiceCapabilities': {}});
 
-	return this.sendRequest('GetServiceCapabilities', soapBody)
+	return this.sendRequest('GetServiceCapabilities', soapBody, options)
 		.then(result => result);
 };
 
+OnvifServiceMedia.prototype.getStreamUri2 = function(profileToken, protocol, options) {
 
-OnvifServiceMedia.prototype.getStreamUri2 = function(profileToken, protocol) {
-
-    let soapBody = '';
-    soapBody += '<tr2:GetStreamUri>';
-    soapBody += `<tt:ReferenceToken>${profileToken}</tt:ReferenceToken>`;
-    soapBody += '</tr2:GetStreamUri>';
+    let soapBody = this._buildBody({
+        'tr2:GetStreamUri': {
+            'tt:ReferenceToken': profileToken
+        }
+    });
 
-    return this.sendRequest('GetStreamUri', soapBody)
+    return this.sendRequest('GetStreamUri', soapBody, options)
         .then(data => this.parseStreamUri(data['MediaUri']));
 };
 
+/* ------------------------------------------------------------------
+* Method: getVideoEncoderConfigurationOptions2([params][, options])
+* - params:
+*   - profileToken       | String | optional | a token of the profile
+*   - configurationToken | String | optional | a token of the configuration
+*
+* Resolves with a list of {encoding, qualityRange, resolutionsAvailable,
+* bitrateRange, profilesSupported}, one for each encoding (e.g., "H265").
+* The xaddr of this object must be the one of the Media2 service.
+*
+* Source:
+*   GetVideoEncoderConfigurationOptions, https://www.onvif.org/ver20/media/wsdl/media.wsdl
+* ---------------------------------------------------------------- */
+OnvifServiceMedia.prototype.getVideoEncoderConfigurationOptions2 = function (params, options) {
+    params = params || {};
+    let soapBody = this._buildBody({
+        'tr2:GetVideoEncoderConfigurationOptions': {
+            'tr2:ConfigurationToken': helpers.isStringValue(params.configurationToken) ? params.configurationToken : null,
+            'tr2:ProfileToken': helpers.isStringValue(params.profileToken) ? params.profileToken : null
+        }
+    });
+
+    return this.sendRequest('GetVideoEncoderConfigurationOptions', soapBody, options)
+        .then(data => this.ensureArray(data['Options'] || []))
+        .then(data => data.map(o => this.parseVideoEncoder2ConfigurationOptions(o)));
+};
+
+OnvifServiceMedia.prototype.parseVideoEncoder2ConfigurationOptions = function (options) {
+    const attributes = options['$'] || {};
+    return {
+        encoding: options['Encoding'],
+        qualityRange: !('QualityRange' in options) ? null : {
+            min: parseFloat(options['QualityRange']['Min']),
+            max: parseFloat(options['QualityRange']['Max'])
+        },
+        resolutionsAvailable: this.ensureArray(options['ResolutionsAvailable'] || []).map(resolution => ({
+            width: parseInt(resolution['Width']),
+            height: parseInt(resolution['Height'])
+        })),
+        bitrateRange: !('BitrateRange' in options) ? null : {
+            min: parseInt(options['BitrateRange']['Min']),
+            max: parseInt(options['BitrateRange']['Max'])
+        },
+        profilesSupported: attributes['ProfilesSupported'] ? attributes['ProfilesSupported'].split(/\s+/) : []
+    };
+};
+
 module.exports = OnvifServiceMedia;
@@ -6,9 +6,12 @@
 * Date: 2017-08-30
 * ---------------------------------------------------------------- */
 'use strict';
-const mUrl = require('url');
 const mOnvifSoap = require('./soap.js');
 const helpers = require('./helpers.js');
+const mXmlBuilder = require('./xml-builder.js');
+const tlsOptions = require('./tls-options.js');
+const requestOptions = require('./request-options.js');
+const OnvifInterceptors = require('./interceptors.js');
 
 /* ------------------------------------------------------------------
 * Constructor: OnvifServicePtz(params)
@@ -18,6 +21,20 @@ const helpers = require('./helpers.js');
 *    - user  : User name (Optional)
 *    - pass  : Password (Optional)
 *    - time_diff: ms
+*    - tls   : TLS options for an "https" xaddr (Optional)
+*              (see tls-options.js)
+*    - pool  : the OnvifConnectionPool of the device (Optional)
+*    - requestOptions: timeouts and retries (Optional)
+*              (see request-options.js)
+*    - interceptors: the OnvifInterceptors of the device (Optional)
+*    - transport: the object which sends the SOAP requests (Optional,
+*              see soap.js)
+*    - timeSync: called when a request may have failed because the
+*              clock of the device drifted (Optional, see soap.js)
+*
+* The `options` argument of the command methods has the options of the
+* request, e.g., {signal: an AbortSignal, timeout: 5000} (see
+* parseRequestOptions() in request-options.js).
 * ---------------------------------------------------------------- */
 function OnvifServicePtz(params) {
 	this.xaddr = '';
@@ -56,10 +73,17 @@ function OnvifServicePtz(params) {
 		}
 	}
 
-	this.oxaddr = mUrl.parse(this.xaddr);
+	this.oxaddr = helpers.parseUrl(this.xaddr);
 	if(this.user) {
 		this.oxaddr.auth = this.user + ':' + this.pass;
 	}
+	this.oxaddr.tls = tlsOptions.parseTlsOptions(params['tls']);
+	this.oxaddr.pool = params['pool'] || null;
+	this.oxaddr.requestOptions = requestOptions.parseRequestOptions(params['requestOptions'], true);
+	this.interceptors = new OnvifInterceptors(params['interceptors']);
+	this.oxaddr.interceptors = this.interceptors;
+	this.oxaddr.transport = params['transport'] || null;
+	this.oxaddr.timeSync = params['timeSync'] || null;
 
 	this.time_diff = params['timeDifference'];
 	this.name_space_attr_list = [
@@ -81,6 +105,10 @@ OnvifServicePtz.prototype._createRequestSoap = function(body) {
 	return soap;
 };
 
+OnvifServicePtz.prototype._buildBody = function(node) {
+	return mXmlBuilder.build(node, this.name_space_attr_list);
+};
+
 /* ------------------------------------------------------------------
 * Method: setAuth(user, pass)
 * ---------------------------------------------------------------- */
@@ -95,13 +123,60 @@ OnvifServicePtz.prototype.setAuth = function(user, pass) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getNodes([callback])
+* Method: addInterceptor(interceptor)
+* - interceptor: an object which has onRequest(), onResponse() and/or
+*                onError() (see interceptors.js). It only sees the
+*                requests of this service.
+* ---------------------------------------------------------------- */
+OnvifServicePtz.prototype.addInterceptor = function(interceptor) {
+	this.interceptors.add(interceptor);
+};
+
+/* ------------------------------------------------------------------
+* Method: removeInterceptor(interceptor)
+* ---------------------------------------------------------------- */
+OnvifServicePtz.prototype.removeInterceptor = function(interceptor) {
+	this.interceptors.remove(interceptor);
+};
+
+/* ------------------------------------------------------------------
+* Method: getServiceCapabilities([options][, callback])
+* ---------------------------------------------------------------- */
+OnvifServicePtz.prototype.getServiceCapabilities = function(options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
+	let promise = new Promise((resolve, reject) => {
+		let soap_body = this._buildBody({'tptz:GetServiceCapabilities': {}});
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetServiceCapabilities', () => this._createRequestSoap(soap_body), options).then((result) => {
+			resolve(result);
+		}).catch((error) => {
+			reject(error);
+		});
+	});
+	if(callback) {
+		promise.then((result) => {
+			callback(null, result);
+		}).catch((error) => {
+			callback(error);
+		});
+	} else {
+		return promise;
+	}
+};
+
+/* ------------------------------------------------------------------
+* Method: getNodes([options][, callback])
 * ---------------------------------------------------------------- */
-OnvifServicePtz.prototype.getNodes = function(callback) {
+OnvifServicePtz.prototype.getNodes = function(options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
-		let soap_body = '<tptz:GetNodes/>';
-		let soap = this._createRequestSoap(soap_body);
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetNodes', soap).then((result) => {
+		let soap_body = this._buildBody({'tptz:GetNodes': {}});
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetNodes', () => this._createRequestSoap(soap_body), options).then((result) => {
 			try {
 				let d = result['data']['PTZNode'];
 				if(!Array.isArray(d)) {
@@ -125,11 +200,15 @@ OnvifServicePtz.prototype.getNodes = function(callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getNode(params[, callback])
+* Method: getNode(params[, options][, callback])
 * - params:
 *   - NodeToken | String | required | a token of the targeted PTZ node
 * ---------------------------------------------------------------- */
-OnvifServicePtz.prototype.getNode = function(params, callback) {
+OnvifServicePtz.prototype.getNode = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -142,12 +221,12 @@ OnvifServicePtz.prototype.getNode = function(params, callback) {
 			return;
 		}
 	
-		let soap_body = '';
-		soap_body += '<tptz:GetNode>';
-		soap_body += '<tptz:NodeToken>' + params['NodeToken'] + '</tptz:NodeToken>';
-		soap_body += '</tptz:GetNode>';
-		let soap = this._createRequestSoap(soap_body);
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetNode', soap).then((result) => {
+		let soap_body = this._buildBody({
+			'tptz:GetNode': {
+				'tptz:NodeToken': params['NodeToken']
+			}
+		});
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetNode', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -165,13 +244,16 @@ OnvifServicePtz.prototype.getNode = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getConfigurations([callback])
+* Method: getConfigurations([options][, callback])
 * ---------------------------------------------------------------- */
-OnvifServicePtz.prototype.getConfigurations = function(callback) {
+OnvifServicePtz.prototype.getConfigurations = function(options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
-		let soap_body = '<tptz:GetConfigurations/>';
-		let soap = this._createRequestSoap(soap_body);
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetConfigurations', soap).then((result) => {
+		let soap_body = this._buildBody({'tptz:GetConfigurations': {}});
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetConfigurations', () => this._createRequestSoap(soap_body), options).then((result) => {
 			try {
 				let d = result['data']['PTZConfiguration'];
 				if(!Array.isArray(d)) {
@@ -196,13 +278,17 @@ OnvifServicePtz.prototype.getConfigurations = function(callback) {
 
 
 /* ------------------------------------------------------------------
-* Method: getConfiguration(params[, callback])
+* Method: getConfiguration(params[, options][, callback])
 * - params:
 *   - ConfigurationToken | String | required | a token of the targeted PTZ node
 *
 * No device I own does not work well for now.
 * ---------------------------------------------------------------- */
-OnvifServicePtz.prototype.getConfiguration = function(params, callback) {
+OnvifServicePtz.prototype.getConfiguration = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -214,13 +300,13 @@ OnvifServicePtz.prototype.getConfiguration = function(params, callback) {
 			reject(new Error('The "ConfigurationToken" property was invalid: ' + err_msg));
 			return;
 		}
-		let soap_body = '';
-		soap_body += '<tptz:GetConfiguration>';
-		soap_body += '<tptz:PTZConfigurationToken>' + params['ConfigurationToken'] + '</tptz:PTZConfigurationToken>';
-		soap_body += '</tptz:GetConfiguration>';
-		let soap = this._createRequestSoap(soap_body);
+		let soap_body = this._buildBody({
+			'tptz:GetConfiguration': {
+				'tptz:PTZConfigurationToken': params['ConfigurationToken']
+			}
+		});
 	
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetConfiguration', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetConfiguration', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -238,11 +324,15 @@ OnvifServicePtz.prototype.getConfiguration = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getConfigurationOptions(params[, callback])
+* Method: getConfigurationOptions(params[, options][, callback])
 * - params:
 *   - ConfigurationToken | String | required | a token of the targeted PTZ node
 * ---------------------------------------------------------------- */
-OnvifServicePtz.prototype.getConfigurationOptions = function(params, callback) {
+OnvifServicePtz.prototype.getConfigurationOptions = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -255,13 +345,13 @@ OnvifServicePtz.prototype.getConfigurationOptions = function(params, callback) {
 			return;
 		}
 	
-		let soap_body = '';
-		soap_body += '<tptz:GetConfigurationOptions>';
-		soap_body += '<tptz:ConfigurationToken>' + params['ConfigurationToken'] + '</tptz:ConfigurationToken>';
-		soap_body += '</tptz:GetConfigurationOptions>';
-		let soap = this._createRequestSoap(soap_body);
+		let soap_body = this._buildBody({
+			'tptz:GetConfigurationOptions': {
+				'tptz:ConfigurationToken': params['ConfigurationToken']
+			}
+		});
 	
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetConfigurationOptions', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetConfigurationOptions', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -279,11 +369,15 @@ OnvifServicePtz.prototype.getConfigurationOptions = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getStatus(params[, callback])
+* Method: getStatus(params[, options][, callback])
 * - params:
 *   - ProfileToken | String | required |
 * ---------------------------------------------------------------- */
-OnvifServicePtz.prototype.getStatus = function(params, callback) {
+OnvifServicePtz.prototype.getStatus = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -296,13 +390,13 @@ OnvifServicePtz.prototype.getStatus = function(params, callback) {
 			return;
 		}
 	
-		let soap_body = '';
-		soap_body += '<tptz:GetStatus>';
-		soap_body += '<tptz:ProfileToken>' + params['ProfileToken'] + '</tptz:ProfileToken>';
-		soap_body += '</tptz:GetStatus>';
-		let soap = this._createRequestSoap(soap_body);
+		let soap_body = this._buildBody({
+			'tptz:GetStatus': {
+				'tptz:ProfileToken': params['ProfileToken']
+			}
+		});
 	
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetStatus', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetStatus', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -320,7 +414,7 @@ OnvifServicePtz.prototype.getStatus = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: continuousMove(params[, callback])
+* Method: continuousMove(params[, options][, callback])
 * - params:
 *   - ProfileToken | String  | required | 
 *   - Velocity     | Object  | required | pan, tilt and zoom
@@ -335,7 +429,11 @@ OnvifServicePtz.prototype.getStatus = function(params, callback) {
 *   'Timeout': 5
 * }
 * ---------------------------------------------------------------- */
-OnvifServicePtz.prototype.continuousMove = function(params, callback) {
+OnvifServicePtz.prototype.continuousMove = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -370,21 +468,17 @@ OnvifServicePtz.prototype.continuousMove = function(params, callback) {
 			}
 		}
 	
-		let soap_body = '';
-		soap_body += '<tptz:ContinuousMove>';
-		soap_body +=   '<tptz:ProfileToken>' + params['ProfileToken'] + '</tptz:ProfileToken>';
-		soap_body +=   '<tptz:Velocity>';
-		soap_body +=     '<tt:PanTilt x="' + params['Velocity']['x'] + '" y="' + params['Velocity']['y'] + '"></tt:PanTilt>';
-		if(params['Velocity']['z']) {
-			soap_body +=     '<tt:Zoom x="' + params['Velocity']['z'] + '"></tt:Zoom>';
-		}
-		soap_body +=   '</tptz:Velocity>';
-		if(params['Timeout']) {
-			soap_body += '<tptz:Timeout>PT' + params['Timeout'] + 'S</tptz:Timeout>';
-		}
-		soap_body += '</tptz:ContinuousMove>';
-		let soap = this._createRequestSoap(soap_body);
-		mOnvifSoap.requestCommand(this.oxaddr, 'ContinuousMove', soap).then((result) => {
+		let soap_body = this._buildBody({
+			'tptz:ContinuousMove': {
+				'tptz:ProfileToken': params['ProfileToken'],
+				'tptz:Velocity': {
+					'tt:PanTilt': {'$': {'x': params['Velocity']['x'], 'y': params['Velocity']['y']}},
+					'tt:Zoom': params['Velocity']['z'] ? {'$': {'x': params['Velocity']['z']}} : null
+				},
+				'tptz:Timeout': params['Timeout'] ? 'PT' + params['Timeout'] + 'S' : null
+			}
+		});
+		mOnvifSoap.requestCommand(this.oxaddr, 'ContinuousMove', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -402,7 +496,7 @@ OnvifServicePtz.prototype.continuousMove = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: absoluteMove(params[, callback])
+* Method: absoluteMove(params[, options][, callback])
 * - params:
 *   - ProfileToken | String  | required |
 *   - Position     | Object  | required | pan, tilt and zoom
@@ -420,7 +514,11 @@ OnvifServicePtz.prototype.continuousMove = function(params, callback) {
 *   'Speed'       : {'x': 1, 'y': 1, 'z': 1}
 * }
 * ---------------------------------------------------------------- */
-OnvifServicePtz.prototype.absoluteMove = function(params, callback) {
+OnvifServicePtz.prototype.absoluteMove = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -464,26 +562,21 @@ OnvifServicePtz.prototype.absoluteMove = function(params, callback) {
 			}
 		}
 	
-		let soap_body = '';
-		soap_body += '<tptz:AbsoluteMove>';
-		soap_body +=   '<tptz:ProfileToken>' + params['ProfileToken'] + '</tptz:ProfileToken>';
-	
-		soap_body +=   '<tptz:Position>';
-		soap_body +=     '<tt:PanTilt x="' + params['Position']['x'] + '" y="' + params['Position']['y'] + '" />';
-		soap_body +=     '<tt:Zoom x="' + params['Position']['z'] + '"/>';
-		soap_body +=   '</tptz:Position>';
-	
-		if(params['Speed']) {
-			soap_body +=   '<tptz:Speed>';
-			soap_body +=     '<tt:PanTilt x="' + params['Speed']['x'] + '" y="' + params['Speed']['y'] + '" />';
-			soap_body +=     '<tt:Zoom x="' + params['Speed']['z'] + '"/>';
-			soap_body +=   '</tptz:Speed>';
-		}
-	
-		soap_body += '</tptz:AbsoluteMove>';
-		let soap = this._createRequestSoap(soap_body);
+		let soap_body = this._buildBody({
+			'tptz:AbsoluteMove': {
+				'tptz:ProfileToken': params['ProfileToken'],
+				'tptz:Position': {
+					'tt:PanTilt': {'$': {'x': params['Position']['x'], 'y': params['Position']['y']}},
+					'tt:Zoom': {'$': {'x': params['Position']['z']}}
+				},
+				'tptz:Speed': !params['Speed'] ? null : {
+					'tt:PanTilt': {'$': {'x': params['Speed']['x'], 'y': params['Speed']['y']}},
+					'tt:Zoom': {'$': {'x': params['Speed']['z']}}
+				}
+			}
+		});
 	
-		mOnvifSoap.requestCommand(this.oxaddr, 'AbsoluteMove', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'AbsoluteMove', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -501,7 +594,7 @@ OnvifServicePtz.prototype.absoluteMove = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: relativeMove(params[, callback])
+* Method: relativeMove(params[, options][, callback])
 * - params:
 *   - ProfileToken | String  | required | 
 *   - Translation  | Object  | required | pan, tilt and zoom
@@ -519,7 +612,11 @@ OnvifServicePtz.prototype.absoluteMove = function(params, callback) {
 *   'Speed'       : {'x': 1, 'y': 1, 'z': 1}
 * }
 * ---------------------------------------------------------------- */
-OnvifServicePtz.prototype.relativeMove = function(params, callback) {
+OnvifServicePtz.prototype.relativeMove = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -547,17 +644,21 @@ OnvifServicePtz.prototype.relativeMove = function(params, callback) {
 			}
 		}
 	
-		let soap_body = '';
-		soap_body += '<tptz:RelativeMove>';
-		soap_body +=   '<tptz:ProfileToken>' + params['ProfileToken'] + '</tptz:ProfileToken>';
-		soap_body +=   '<tptz:Translation>';
-		soap_body +=     '<tt:PanTilt x="' + params['Translation']['x'] + '" y="' + params['Translation']['y'] + '"/>';
-		soap_body +=     '<tt:Zoom x="' + params['Translation']['z'] + '"/>';
-		soap_body +=   '</tptz:Translation>';
-		soap_body += '</tptz:RelativeMove>';
-		let soap = this._createRequestSoap(soap_body);
+		let soap_body = this._buildBody({
+			'tptz:RelativeMove': {
+				'tptz:ProfileToken': params['ProfileToken'],
+				'tptz:Translation': {
+					'tt:PanTilt': {
+						'$': {'x': params['Translation']['x'], 'y': params['Translation']['y']}
+					},
+					'tt:Zoom': {
+						'$': {'x': params['Translation']['z']}
+					}
+				}
+			}
+		});
 	
-		mOnvifSoap.requestCommand(this.oxaddr, 'RelativeMove', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'RelativeMove', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -575,7 +676,7 @@ OnvifServicePtz.prototype.relativeMove = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: stop(params[, callback])
+* Method: stop(params[, options][, callback])
 * - params:
 *   - ProfileToken | String  | required | a token of the targeted PTZ node
 *   - PanTilt      | Boolean | optional | true or false
@@ -587,7 +688,11 @@ OnvifServicePtz.prototype.relativeMove = function(params, callback) {
 *   'Zoom': true
 * }
 * ---------------------------------------------------------------- */
-OnvifServicePtz.prototype.stop = function(params, callback) {
+OnvifServicePtz.prototype.stop = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -614,19 +719,15 @@ OnvifServicePtz.prototype.stop = function(params, callback) {
 			}
 		}
 	
-		let soap_body = '';
-		soap_body += '<tptz:Stop>';
-		soap_body +=   '<tptz:ProfileToken>' + params['ProfileToken'] + '</tptz:ProfileToken>';
-		if('PanTilt' in params) {
-			soap_body += '<tptz:PanTilt>' + params['PanTilt'] + '</tptz:PanTilt>';
-		}
-		if('Zoom' in params) {
-			soap_body += '<tptz:Zoom>' + params['Zoom'] + '</tptz:Zoom>';
-		}
-		soap_body += '</tptz:Stop>';
-		let soap = this._createRequestSoap(soap_body);
+		let soap_body = this._buildBody({
+			'tptz:Stop': {
+				'tptz:ProfileToken': params['ProfileToken'],
+				'tptz:PanTilt': params['PanTilt'],
+				'tptz:Zoom': params['Zoom']
+			}
+		});
 	
-		mOnvifSoap.requestCommand(this.oxaddr, 'Stop', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'Stop', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -644,7 +745,7 @@ OnvifServicePtz.prototype.stop = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: gotoHomePosition(params[, callback])
+* Method: gotoHomePosition(params[, options][, callback])
 * - params:
 *   - ProfileToken | String | required |
 *   - Speed        | Float  | optional |
@@ -654,7 +755,11 @@ OnvifServicePtz.prototype.stop = function(params, callback) {
 *   'Speed': 0.5
 * }
 * ---------------------------------------------------------------- */
-OnvifServicePtz.prototype.gotoHomePosition = function(params, callback) {
+OnvifServicePtz.prototype.gotoHomePosition = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -674,16 +779,14 @@ OnvifServicePtz.prototype.gotoHomePosition = function(params, callback) {
 			}
 		}
 	
-		let soap_body = '';
-		soap_body += '<tptz:GotoHomePosition>';
-		soap_body +=   '<tptz:ProfileToken>' + params['ProfileToken'] + '</tptz:ProfileToken>';
-		if('Speed' in params) {
-			soap_body += '<tptz:Speed>' + params['Speed'] + '</tptz:Speed>';
-		}
-		soap_body += '</tptz:GotoHomePosition>';
-		let soap = this._createRequestSoap(soap_body);
+		let soap_body = this._buildBody({
+			'tptz:GotoHomePosition': {
+				'tptz:ProfileToken': params['ProfileToken'],
+				'tptz:Speed': params['Speed']
+			}
+		});
 	
-		mOnvifSoap.requestCommand(this.oxaddr, 'GotoHomePosition', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'GotoHomePosition', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -701,7 +804,7 @@ OnvifServicePtz.prototype.gotoHomePosition = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: setHomePosition(params[, callback])
+* Method: setHomePosition(params[, options][, callback])
 * - params:
 *   - ProfileToken | String | required |
 *
@@ -709,7 +812,11 @@ OnvifServicePtz.prototype.gotoHomePosition = function(params, callback) {
 *   'ProfileToken': 'Profile1'
 * }
 * ---------------------------------------------------------------- */
-OnvifServicePtz.prototype.setHomePosition = function(params, callback) {
+OnvifServicePtz.prototype.setHomePosition = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -722,13 +829,13 @@ OnvifServicePtz.prototype.setHomePosition = function(params, callback) {
 			return;
 		}
 	
-		let soap_body = '';
-		soap_body += '<tptz:SetHomePosition>';
-		soap_body +=   '<tptz:ProfileToken>' + params['ProfileToken'] + '</tptz:ProfileToken>';
-		soap_body += '</tptz:SetHomePosition>';
-		let soap = this._createRequestSoap(soap_body);
+		let soap_body = this._buildBody({
+			'tptz:SetHomePosition': {
+				'tptz:ProfileToken': params['ProfileToken']
+			}
+		});
 	
-		mOnvifSoap.requestCommand(this.oxaddr, 'SetHomePosition', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'SetHomePosition', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -746,7 +853,7 @@ OnvifServicePtz.prototype.setHomePosition = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: setPreset(params[, callback])
+* Method: setPreset(params[, options][, callback])
 * - params:
 *   - ProfileToken | String | required | a token of the targeted PTZ node
 *   - PresetToken  | String | optional |
@@ -757,7 +864,11 @@ OnvifServicePtz.prototype.setHomePosition = function(params, callback) {
 *   'PresetName'  : 'Preset1'
 * }
 * ---------------------------------------------------------------- */
-OnvifServicePtz.prototype.setPreset = function(params, callback) {
+OnvifServicePtz.prototype.setPreset = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -789,19 +900,15 @@ OnvifServicePtz.prototype.setPreset = function(params, callback) {
 			return;
 		}
 	
-		let soap_body = '';
-		soap_body += '<tptz:SetPreset>';
-		soap_body +=   '<tptz:ProfileToken>' + params['ProfileToken'] + '</tptz:ProfileToken>';
-		if('PresetToken' in params) {
-			soap_body += '<tptz:PresetToken>' + params['PresetToken'] + '</tptz:PresetToken>';
-		}
-		if('PresetName' in params) {
-			soap_body +=   '<tptz:PresetName>' + params['PresetName'] + '</tptz:PresetName>';
-		}
-		soap_body += '</tptz:SetPreset>';
-		let soap = this._createRequestSoap(soap_body);
+		let soap_body = this._buildBody({
+			'tptz:SetPreset': {
+				'tptz:ProfileToken': params['ProfileToken'],
+				'tptz:PresetToken': params['PresetToken'],
+				'tptz:PresetName': params['PresetName']
+			}
+		});
 	
-		mOnvifSoap.requestCommand(this.oxaddr, 'SetPreset', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'SetPreset', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -819,7 +926,7 @@ OnvifServicePtz.prototype.setPreset = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: getPresets(params[, callback])
+* Method: getPresets(params[, options][, callback])
 * - params:
 *   - ProfileToken | String | required | a token of the targeted PTZ node
 *
@@ -827,7 +934,11 @@ OnvifServicePtz.prototype.setPreset = function(params, callback) {
 *   'ProfileToken': 'Profile1'
 * }
 * ---------------------------------------------------------------- */
-OnvifServicePtz.prototype.getPresets = function(params, callback) {
+OnvifServicePtz.prototype.getPresets = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -840,13 +951,13 @@ OnvifServicePtz.prototype.getPresets = function(params, callback) {
 			return;
 		}
 	
-		let soap_body = '';
-		soap_body += '<tptz:GetPresets>';
-		soap_body +=   '<tptz:ProfileToken>' + params['ProfileToken'] + '</tptz:ProfileToken>';
-		soap_body += '</tptz:GetPresets>';
-		let soap = this._createRequestSoap(soap_body);
+		let soap_body = this._buildBody({
+			'tptz:GetPresets': {
+				'tptz:ProfileToken': params['ProfileToken']
+			}
+		});
 	
-		mOnvifSoap.requestCommand(this.oxaddr, 'GetPresets', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'GetPresets', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -864,7 +975,7 @@ OnvifServicePtz.prototype.getPresets = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: gotoPreset(params[, callback])
+* Method: gotoPreset(params[, options][, callback])
 * - params:
 *   - ProfileToken | String  | required | 
 *   - PresetToken  | String  | required | 
@@ -879,7 +990,11 @@ OnvifServicePtz.prototype.getPresets = function(params, callback) {
 *   'Speed'       : {'x': 0.5, 'y': 1.0, 'z': 0.5}
 * }
 * ---------------------------------------------------------------- */
-OnvifServicePtz.prototype.gotoPreset = function(params, callback) {
+OnvifServicePtz.prototype.gotoPreset = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -913,20 +1028,18 @@ OnvifServicePtz.prototype.gotoPreset = function(params, callback) {
 			}
 		}
 	
-		let soap_body = '';
-		soap_body += '<tptz:GotoPreset>';
-		soap_body +=   '<tptz:ProfileToken>' + params['ProfileToken'] + '</tptz:ProfileToken>';
-		soap_body +=   '<tptz:PresetToken>' + params['PresetToken'] + '</tptz:PresetToken>';
-		if(params['Speed']) {
-			soap_body +=   '<tptz:Speed>';
-			soap_body +=     '<tt:PanTilt x="' + params['Speed']['x'] + '" y="' + params['Speed']['y'] + '" />';
-			soap_body +=     '<tt:Zoom x="' + params['Speed']['z'] + '"/>';
-			soap_body +=   '</tptz:Speed>';
-		}
-		soap_body += '</tptz:GotoPreset>';
-		let soap = this._createRequestSoap(soap_body);
+		let soap_body = this._buildBody({
+			'tptz:GotoPreset': {
+				'tptz:ProfileToken': params['ProfileToken'],
+				'tptz:PresetToken': params['PresetToken'],
+				'tptz:Speed': !params['Speed'] ? null : {
+					'tt:PanTilt': {'$': {'x': params['Speed']['x'], 'y': params['Speed']['y']}},
+					'tt:Zoom': {'$': {'x': params['Speed']['z']}}
+				}
+			}
+		});
 	
-		mOnvifSoap.requestCommand(this.oxaddr, 'GotoPreset', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'GotoPreset', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -944,7 +1057,7 @@ OnvifServicePtz.prototype.gotoPreset = function(params, callback) {
 };
 
 /* ------------------------------------------------------------------
-* Method: removePreset(params[, callback])
+* Method: removePreset(params[, options][, callback])
 * - params:
 *   - ProfileToken | String | required | a token of the targeted PTZ node
 *   - PresetToken  | String | required |
@@ -954,7 +1067,11 @@ OnvifServicePtz.prototype.gotoPreset = function(params, callback) {
 *   'PresetToken' : 'Preset1'
 * }
 * ---------------------------------------------------------------- */
-OnvifServicePtz.prototype.removePreset = function(params, callback) {
+OnvifServicePtz.prototype.removePreset = function(params, options, callback) {
+	if(typeof(options) === 'function') {
+		callback = options;
+		options = undefined;
+	}
 	let promise = new Promise((resolve, reject) => {
 		let err_msg = '';
 		if(err_msg = helpers.isInvalidValue(params, 'object')) {
@@ -972,14 +1089,14 @@ OnvifServicePtz.prototype.removePreset = function(params, callback) {
 			return;
 		}
 	
-		let soap_body = '';
-		soap_body += '<tptz:RemovePreset>';
-		soap_body +=   '<tptz:ProfileToken>' + params['ProfileToken'] + '</tptz:ProfileToken>';
-		soap_body +=   '<tptz:PresetToken>' + params['PresetToken'] + '</tptz:PresetToken>';
-		soap_body += '</tptz:RemovePreset>';
-		let soap = this._createRequestSoap(soap_body);
+		let soap_body = this._buildBody({
+			'tptz:RemovePreset': {
+				'tptz:ProfileToken': params['ProfileToken'],
+				'tptz:PresetToken': params['PresetToken']
+			}
+		});
 	
-		mOnvifSoap.requestCommand(this.oxaddr, 'RemovePreset', soap).then((result) => {
+		mOnvifSoap.requestCommand(this.oxaddr, 'RemovePreset', () => this._createRequestSoap(soap_body), options).then((result) => {
 			resolve(result);
 		}).catch((error) => {
 			reject(error);
@@ -0,0 +1,152 @@
+/* ------------------------------------------------------------------
+* node-onvif - service-resolver.js
+*
+* Copyright (c) 2016 - 2017, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+
+// The namespaces of each service, the newest version first
+const SERVICE_NAMESPACES = {
+    'device': ['http://www.onvif.org/ver10/device/wsdl'],
+    'media': ['http://www.onvif.org/ver20/media/wsdl', 'http://www.onvif.org/ver10/media/wsdl'],
+    'events': ['http://www.onvif.org/ver10/events/wsdl'],
+    'ptz': ['http://www.onvif.org/ver20/ptz/wsdl'],
+    'imaging': ['http://www.onvif.org/ver20/imaging/wsdl'],
+    'analytics': ['http://www.onvif.org/ver20/analytics/wsdl'],
+    'deviceIO': ['http://www.onvif.org/ver10/deviceIO/wsdl'],
+    'recording': ['http://www.onvif.org/ver10/recording/wsdl'],
+    'search': ['http://www.onvif.org/ver10/search/wsdl'],
+    'replay': ['http://www.onvif.org/ver10/replay/wsdl'],
+    'receiver': ['http://www.onvif.org/ver10/receiver/wsdl'],
+    'accessControl': ['http://www.onvif.org/ver10/accesscontrol/wsdl'],
+    'doorControl': ['http://www.onvif.org/ver10/doorcontrol/wsdl']
+};
+
+/* ------------------------------------------------------------------
+* Constructor: OnvifServiceResolver()
+*
+* Keeps the services listed in a GetServices response, as
+* {namespace, xaddr, version: {major, minor}} objects by namespace.
+* ---------------------------------------------------------------- */
+function OnvifServiceResolver() {
+    this._services = {};
+}
+
+/* ------------------------------------------------------------------
+* Method: load(result)
+* - result: the result of OnvifServiceDevice.getServices()
+*
+* Replaces the known services. A namespace listed more than once keeps
+* its newest version.
+* ---------------------------------------------------------------- */
+OnvifServiceResolver.prototype.load = function (result) {
+    let list = (result && result['Service']) || [];
+    if (!Array.isArray(list)) {
+        list = [list];
+    }
+
+    this._services = {};
+    list.forEach(service => {
+        const info = parseService(service);
+        if (!info) {
+            return;
+        }
+
+        const known = this._services[info.namespace];
+        if (!known || compareVersions(info.version, known.version) > 0) {
+            this._services[info.namespace] = info;
+        }
+    });
+};
+
+/* ------------------------------------------------------------------
+* Method: get(name)
+* - name: a namespace (e.g., "http://www.onvif.org/ver20/media/wsdl"),
+*         or the name of a service (e.g., "media"), for which the
+*         newest version the device has is returned
+*
+* Returns the {namespace, xaddr, version: {major, minor}} object, or
+* null if the device does not have the service.
+* ---------------------------------------------------------------- */
+OnvifServiceResolver.prototype.get = function (name) {
+    const namespaces = SERVICE_NAMESPACES.hasOwnProperty(name) ? SERVICE_NAMESPACES[name] : [name];
+    for (let i = 0; i < namespaces.length; i++) {
+        const info = this._services[namespaces[i]];
+        if (info) {
+            return copyInfo(info);
+        }
+    }
+
+    return null;
+};
+
+/* ------------------------------------------------------------------
+* Method: getList()
+* ---------------------------------------------------------------- */
+OnvifServiceResolver.prototype.getList = function () {
+    return Object.keys(this._services).map(namespace => copyInfo(this._services[namespace]));
+};
+
+/* ------------------------------------------------------------------
+* Method: setList(list)
+* - list: the Array returned by getList(), e.g., saved by
+*         OnvifDevice.toJSON()
+* ---------------------------------------------------------------- */
+OnvifServiceResolver.prototype.setList = function (list) {
+    this._services = {};
+    (Array.isArray(list) ? list : []).forEach(info => {
+        if (info && typeof (info.namespace) === 'string' && typeof (info.xaddr) === 'string') {
+            this._services[info.namespace] = copyInfo({
+                namespace: info.namespace,
+                xaddr: info.xaddr,
+                version: info.version || {major: 0, minor: 0}
+            });
+        }
+    });
+};
+
+function parseService(service) {
+    const namespace = getText(service['Namespace']);
+    const xaddr = getText(service['XAddr']);
+    if (!namespace || !xaddr) {
+        return null;
+    }
+
+    const version = service['Version'] || {};
+    return {
+        namespace: namespace,
+        xaddr: xaddr,
+        version: {
+            major: parseInt(getText(version['Major']), 10) || 0,
+            minor: parseInt(getText(version['Minor']), 10) || 0
+        }
+    };
+}
+
+function compareVersions(a, b) {
+    return (a.major - b.major) || (a.minor - b.minor);
+}
+
+function copyInfo(info) {
+    return {
+        namespace: info.namespace,
+        xaddr: info.xaddr,
+        version: {major: info.version.major, minor: info.version.minor}
+    };
+}
+
+function getText(value) {
+    if (typeof (value) === 'string') {
+        return value.trim();
+    } else if (value && typeof (value) === 'object' && typeof (value['_']) === 'string') {
+        return value['_'].trim();
+    }
+
+    return '';
+}
+
+OnvifServiceResolver.SERVICE_NAMESPACES = SERVICE_NAMESPACES;
+
+module.exports = OnvifServiceResolver;
@@ -6,41 +6,210 @@
 * Date: 2018-08-13
 * ---------------------------------------------------------------- */
 'use strict';
-const http = require('http');
 const crypto = require('crypto');
 const helpers = require('./helpers.js');
+const xmlBuilder = require('./xml-builder.js');
+const errors = require('./errors.js');
+const OnvifHttpTransport = require('./http-transport.js');
+const requestOptions = require('./request-options.js');
+const OnvifInterceptors = require('./interceptors.js');
+const abortSignal = require('./abort-signal.js');
+
+// The fault codes defined by SOAP 1.1 itself (e.g., "Client" or "Client.Authentication")
+const SOAP11_FAULT_CODES = /^(VersionMismatch|MustUnderstand|Client|Server)(\.|$)/;
 
 /* ------------------------------------------------------------------
 * Constructor: OnvifSoap()
 * ---------------------------------------------------------------- */
 function OnvifSoap() {
     this.HTTP_TIMEOUT = 3000; // milliseconds
+    // The transport of the services which were not given one
+    this.transport = new OnvifHttpTransport();
 }
 
 /* ------------------------------------------------------------------
-* Method: requestCommand(xaddr, method_name, soap)
+* Method: requestCommand(xaddr, method_name, soap[, options])
+* - xaddr: the parsed xaddr of the service. The envelope is sent by
+*          `xaddr.transport`, or by the default OnvifHttpTransport
+*          (see http-transport.js for the properties it reads).
+* - soap: the SOAP envelope, or a function which returns it. A function
+*         is called again for every retry, so that the WS-Security
+*         nonce is never sent twice.
+* - options: the timeout and retry options for this call (see
+*          parseRequestOptions() in request-options.js). They override
+*          the ones of the device in `xaddr.requestOptions`.
+*
+* The interceptors in `xaddr.interceptors` (an OnvifInterceptors) are
+* told about every attempt (see interceptors.js).
+*
+* A request which failed with a network error, a timeout or an HTTP 5xx
+* status is sent again up to `retries` times, unless the command is not
+* idempotent (e.g., SystemReboot).
+*
+* If the request was rejected with an OnvifNotAuthorizedError and
+* `xaddr.timeSync` is set, the WS-Security timestamp may have been
+* refused because the clock of the device drifted. `xaddr.timeSync(startTime)`
+* is called with the time the request was made, and resolves with true
+* if the time difference has been corrected since then. The request
+* is sent once more in that case. This needs `soap` to be a function,
+* a string would be sent with the same timestamp again.
+*
+* An AbortSignal in `options.signal` stops the request, its retries and
+* the wait between them, and the Promise is rejected with an
+* OnvifAbortError.
+*
+* The Promise is rejected with an OnvifError (see errors.js).
 * ---------------------------------------------------------------- */
-OnvifSoap.prototype.requestCommand = function (xaddr, methodName, soap) {
-    return request(xaddr, soap, methodName, this.HTTP_TIMEOUT)
-        .then(xml => helpers.parseXml(xml))
-        .then(response => parseValidResponse(response, methodName));
+OnvifSoap.prototype.requestCommand = function (xaddr, methodName, soap, options) {
+    let resolved = null;
+    try {
+        resolved = requestOptions.resolveRequestOptions(xaddr.requestOptions, methodName, options, this.HTTP_TIMEOUT);
+    } catch (error) {
+        return Promise.reject(error);
+    }
+
+    const attempt = count => Promise.resolve()
+        .then(() => {
+            abortSignal.throwIfAborted(resolved.signal);
+            return this._requestOnce(xaddr, methodName, (typeof (soap) === 'function') ? soap() : soap, resolved, count + 1);
+        })
+        .catch(error => {
+            if (count >= resolved.retries || !requestOptions.isRetryable(error, methodName, resolved)) {
+                throw error;
+            }
+
+            return abortSignal.delay(requestOptions.getRetryDelay(resolved, count + 1), resolved.signal)
+                .then(() => attempt(count + 1));
+        });
+
+    const startTime = Date.now();
+    return attempt(0).catch(error => {
+        if (!isTimeSkewRecoverable(xaddr, methodName, soap, error)) {
+            throw error;
+        }
+
+        return Promise.resolve()
+            .then(() => xaddr.timeSync(startTime))
+            .catch(() => false)
+            .then(corrected => {
+                if (!corrected) {
+                    throw error;
+                }
+
+                return attempt(0);
+            });
+    });
+};
+
+function isTimeSkewRecoverable(xaddr, methodName, soap, error) {
+    return (typeof (xaddr.timeSync) === 'function'
+        && typeof (soap) === 'function'
+        && !!xaddr.auth
+        // The time difference is read by this command
+        && methodName !== 'GetSystemDateAndTime'
+        && error instanceof errors.OnvifNotAuthorizedError);
+}
+
+OnvifSoap.prototype._requestOnce = function (xaddr, methodName, soap, options, attempt) {
+    // Every service has an OnvifInterceptors, but the envelopes are only
+    // worth redacting when someone is going to look at them.
+    const interceptors = (xaddr.interceptors && xaddr.interceptors.getList().length > 0) ? xaddr.interceptors : null;
+    const event = {
+        methodName: methodName,
+        xaddr: xaddr.href,
+        attempt: attempt,
+        startTime: Date.now(),
+        envelope: interceptors ? OnvifInterceptors.redactEnvelope(soap) : ''
+    };
+    let result = null;
+
+    const getResultEvent = () => Object.assign(event, {
+        duration: Date.now() - event.startTime,
+        statusCode: result ? result.statusCode : 0,
+        headers: result ? result.headers : {},
+        response: result ? OnvifInterceptors.redactEnvelope(result.xml) : ''
+    });
+
+    if (interceptors) {
+        interceptors.notify('onRequest', event);
+    }
+
+    return this._send(xaddr, methodName, soap, options)
+        .then(res => {
+            result = res;
+            return checkResponse(result, methodName, options);
+        })
+        .then(xml => helpers.parseXml(xml, options)
+            .catch(xmlError => Promise.reject((xmlError instanceof errors.OnvifXmlLimitError) ? createXmlLimitError(methodName, 200, xmlError)
+                : new errors.OnvifResponseError(`${methodName}(): [XML parsing error: ${xmlError.toString()}]`, {
+                    methodName: methodName,
+                    httpStatus: 200,
+                    cause: xmlError
+                }))))
+        .then(response => parseValidResponse(response, methodName))
+        .then(data => {
+            if (interceptors) {
+                interceptors.notify('onResponse', getResultEvent());
+            }
+
+            return data;
+        }, error => {
+            if (error instanceof errors.OnvifError && !error.methodName) {
+                error.methodName = methodName;
+            }
+
+            if (interceptors) {
+                interceptors.notify('onError', Object.assign(getResultEvent(), {error: error}));
+            }
+
+            throw error;
+        });
 };
 
-function request(xaddr, soap, methodName, timeout) {
-    return new Promise((resolve, reject) => {
-        const request = http.request(buildSoapRequestPostParams(xaddr, soap));
-
-        request.setTimeout(timeout);
-        request.on('response', response => soapResponseHandler(response, request, methodName, resolve, reject));
-        request.on('timeout', () => request.abort());
-        request.on('error', (error) => {
-            // Here we handle errors due to network losses
-            request.removeAllListeners('error');
-            request.removeAllListeners('timeout');
-            reject(new Error('Network Error: ' + (error ? error.message : '')));
+/* ------------------------------------------------------------------
+* A transport is an object which has a send(xaddr, action, envelope[, options])
+* method, `options` having the `timeout` in ms, the `maxResponseBytes`
+* it should stop reading at and the `signal` (an AbortSignal or
+* undefined) which should stop the request. It returns a Promise
+* resolved with the response envelope (a string), or with an object
+* {statusCode, statusMessage, headers, xml} to report an HTTP status
+* other than 200 (e.g., 500 with a SOAP fault). A rejection which is not
+* an OnvifError is reported as an OnvifNetworkError.
+* ---------------------------------------------------------------- */
+OnvifSoap.prototype._send = function (xaddr, methodName, soap, options) {
+    const transport = xaddr.transport || this.transport;
+    const sendOptions = {
+        timeout: options.timeout,
+        maxResponseBytes: options.maxResponseBytes,
+        signal: options.signal
+    };
+
+    // Rejected on the abort even if the transport does not watch the signal
+    return abortSignal.race(Promise.resolve().then(() => transport.send(xaddr, methodName, soap, sendOptions)), options.signal)
+        .then(result => {
+            if (typeof (result) === 'string') {
+                return {statusCode: 200, statusMessage: 'OK', headers: {}, xml: result};
+            } else if (!result || typeof (result) !== 'object' || typeof (result.statusCode) !== 'number') {
+                throw new errors.OnvifResponseError(`${methodName}(): The transport returned no response.`, {methodName: methodName});
+            }
+
+            return Object.assign({statusMessage: '', headers: {}, xml: ''}, result);
+        }, error => {
+            if (error instanceof errors.OnvifXmlLimitError) {
+                throw createXmlLimitError(methodName, 0, error);
+            } else if (error instanceof errors.OnvifError) {
+                throw error;
+            }
+
+            throw new errors.OnvifNetworkError('Network Error: ' + (error ? error.message : ''), {cause: error});
         });
-        request.write(soap, 'utf8');
-        request.end();
+};
+
+function createXmlLimitError(methodName, httpStatus, error) {
+    return new errors.OnvifXmlLimitError(`${methodName}(): ${error.message}`, {
+        methodName: methodName,
+        httpStatus: error.httpStatus || httpStatus,
+        limit: error.limit
     });
 }
 
@@ -48,114 +217,127 @@ function parseValidResponse(response, methodName) {
     const responseKey = `${methodName}Response`;
 
     if (!('Body' in response) || !(responseKey in response['Body'])) {
-        throw new Error(`The device does not seem to support the ${methodName}() method.`);
+        throw new errors.OnvifResponseError(`The device does not seem to support the ${methodName}() method.`, {
+            methodName: methodName,
+            httpStatus: 200
+        });
     }
 
     return Promise.resolve(response['Body'][responseKey]);
 }
 
-function buildSoapRequestPostParams(xaddr, soap) {
-    return {
-        protocol: xaddr.protocol,
-        hostname: xaddr.hostname,
-        port: xaddr.port || 80,
-        path: xaddr.pathname,
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/soap+xml; charset=utf-8;',
-            'Content-Length': Buffer.byteLength(soap)
-        }
+function checkResponse(result, methodName, options) {
+    // Return successful responses
+    if (result.statusCode === 200) {
+        return Promise.resolve(result.xml);
     }
-}
-
-function soapResponseHandler(response, request, methodName, resolve, reject) {
-    response.setEncoding('utf8');
-
-    let xml = '';
-    response.on('data', (chunk) => {
-        xml += chunk;
-    });
 
-    response.on('end', () => {
-        // Stop listening for request responses
-        if (request) {
-            request.removeAllListeners('error');
-            request.removeAllListeners('timeout');
-            request.removeAllListeners('response');
-        }
-
-        // Return successful responses
-        if (response.statusCode === 200) {
-            return resolve(xml);
-        }
-
-        // Handle errors
-        const httpError = {
-            code: response.statusCode,
-            message: response.statusMessage
-        };
+    // Handle errors
+    const httpError = {
+        code: result.statusCode,
+        message: result.statusMessage
+    };
 
-        if (!xml) {
-            return reject(formatError(methodName, httpError));
-        }
+    if (!result.xml) {
+        return Promise.reject(createError(methodName, httpError));
+    }
 
-        helpers.parseXml(xml)
-            .then(parsed => reject(formatError(methodName, httpError, null, parseOnvifError(parsed))))
-            .catch(xmlError => reject(formatError(methodName, httpError, xmlError)));
-    });
+    return helpers.parseXml(result.xml, options)
+        .then(parsed => createError(methodName, httpError, null, parseFault(parsed)))
+        .catch(xmlError => (xmlError instanceof errors.OnvifXmlLimitError) ? createXmlLimitError(methodName, httpError.code, xmlError)
+            : createError(methodName, httpError, xmlError))
+        .then(error => Promise.reject(error));
 }
 
-function formatError(methodName, httpError, xmlError, onvifError) {
+function createError(methodName, httpError, xmlError, fault) {
     let message = `${methodName}():`;
+    const params = {
+        methodName: methodName,
+        httpStatus: httpError.code
+    };
 
-    if (httpError && httpError.code === 400 && onvifError && onvifError.message.includes('Sender not authorized')) {
+    if (httpError.code === 400 && fault && /Sender not authorized/.test(fault.reason)) {
         message += ' [HTTP status: 401 Unauthorized]';
     } else {
-        if (httpError) {
-            message += ` [HTTP status: ${httpError.code} ${httpError.message}]`;
-        }
+        message += ` [HTTP status: ${httpError.code} ${httpError.message}]`;
 
         if (xmlError) {
             message += ` [XML parsing error: ${xmlError.toString()}]`;
         }
 
-        if (onvifError) {
-            message += ` [Onvif error: ${onvifError.message} - ${onvifError.detail}]`;
+        if (fault) {
+            message += ` [Onvif error: ${fault.reason}` + (fault.detail ? ` - ${fault.detail}]` : ']');
         }
     }
 
-    return new Error(message);
+    if (fault) {
+        return errors.createFaultError(message, Object.assign(params, fault));
+    } else if (httpError.code === 401) {
+        return new errors.OnvifNotAuthorizedError(message, params);
+    }
+
+    return new errors.OnvifHttpError(message, Object.assign(params, {cause: xmlError || undefined}));
 }
 
-function parseOnvifError(parsedXml) {
+// Reads a SOAP 1.2 fault, or a SOAP 1.1 one, which some devices still send
+function parseFault(parsedXml) {
+    const body = parsedXml && parsedXml['Body'];
+    const fault = body && body['Fault'];
+    if (!fault || typeof (fault) !== 'object') {
+        return null;
+    }
+
+    if ('faultcode' in fault || 'faultstring' in fault) {
+        // A SOAP 1.1 fault has no subcode: the ONVIF code (e.g., "ter:NotAuthorized")
+        // is put in the faultcode in place of the "Client" or "Server" one
+        const code = getText(fault['faultcode']);
+        return {
+            code: code,
+            subcodes: (code && !SOAP11_FAULT_CODES.test(code.split(':').pop())) ? [code] : [],
+            reason: getText(fault['faultstring']),
+            detail: getDetailText(fault['detail'])
+        };
+    }
+
+    const subcodes = [];
+    let subcode = fault['Code'] && fault['Code']['Subcode'];
+    while (subcode && typeof (subcode) === 'object') {
+        subcodes.push(getText(subcode['Value']));
+        subcode = subcode['Subcode'];
+    }
+
     return {
-        message: getOnvifErrorMessage(parsedXml),
-        detail: getOnvifErrorDetail(parsedXml)
+        code: getText(fault['Code'] && fault['Code']['Value']),
+        subcodes: subcodes.filter(value => value),
+        reason: getText(fault['Reason'] && fault['Reason']['Text']),
+        detail: getDetailText(fault['Detail'])
     };
 }
 
-function getOnvifErrorMessage(parsedXml) {
-    let message = parsedXml['Body']['Fault']['Reason']['Text'];
-    if ((typeof message) === 'object') {
-        message = message['_'];
+function getDetailText(detail) {
+    if (detail && typeof (detail) === 'object' && 'Text' in detail) {
+        return getText(detail['Text']);
     }
 
-    return message;
+    return getText(detail);
 }
 
-function getOnvifErrorDetail(parsedXml) {
-    let detail = parsedXml['Body']['Fault']['Detail']['Text'];
-    if ((typeof detail) === 'object') {
-        detail = detail['_'];
+function getText(value) {
+    if (Array.isArray(value)) {
+        return getText(value[0]);
+    } else if (typeof (value) === 'string') {
+        return value.trim();
+    } else if (value && typeof (value) === 'object' && typeof (value['_']) === 'string') {
+        return value['_'].trim();
     }
 
-    return detail;
+    return '';
 }
 
 /* ------------------------------------------------------------------
 * Method: createRequestSoap(params)
 * - params:
-*   - body: description in the <s:Body>
+*   - body: description in the <s:Body>, built by xml-builder.js
 *   - xmlns: a list of xmlns attributes used in the body
 *       e.g., xmlns:tds="http://www.onvif.org/ver10/device/wsdl"
 *   - diff: Time difference [ms]
@@ -178,10 +360,11 @@ OnvifSoap.prototype.createRequestSoap = function (params) {
         soap += createSoapUserToken(params['diff'], params['user'], params['pass']);
     }
     soap += '</s:Header>';
+    // Only the header is compacted, a blank text in the body is a value
+    soap = soap.replace(/>\s+</g, '><');
     soap += `<s:Body>${params['body']}</s:Body>`;
     soap += '</s:Envelope>';
 
-    soap = soap.replace(/>\s+</g, '><');
     return soap;
 };
 
@@ -204,7 +387,7 @@ function createSoapUserToken(timeDiff, user, pass) {
     let soap = '';
     soap += '<Security s:mustUnderstand="1" xmlns="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-secext-1.0.xsd">';
     soap += '  <UsernameToken>';
-    soap += '    <Username>' + user + '</Username>';
+    soap += '    <Username>' + xmlBuilder.escapeText(user) + '</Username>';
     soap += '    <Password Type="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-username-token-profile-1.0#PasswordDigest">' + digest + '</Password>';
     soap += '    <Nonce EncodingType="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-soap-message-security-1.0#Base64Binary">' + nonceBase64 + '</Nonce>';
     soap += '    <Created xmlns="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-utility-1.0.xsd">' + date + '</Created>';
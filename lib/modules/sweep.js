@@ -0,0 +1,361 @@
+/* ------------------------------------------------------------------
+* node-onvif - sweep.js
+*
+* Copyright (c) 2016 - 2017, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const dgram = require('dgram');
+const net = require('net');
+const helpers = require('./helpers.js');
+const errors = require('./errors.js');
+const wsDiscovery = require('./ws-discovery.js');
+const OnvifServiceDevice = require('./service-device.js');
+const OnvifConnectionPool = require('./connection-pool.js');
+
+const SWEEP_CONCURRENCY = 16;
+const SWEEP_RATE = 50; // hosts per second
+const SWEEP_TIMEOUT = 1000; // ms
+const SWEEP_MAX_HOSTS = 65536;
+const SWEEP_MIN_PREFIX_LENGTH = 16;
+const ONVIF_DEVICE_SERVICE_PATHS = ['/onvif/device_service', '/onvif/services', '/onvif/device'];
+
+/* ------------------------------------------------------------------
+* Constructor: OnvifSweep(params, discovery)
+* - params:
+*   - targets      | String/Array | required | IPv4 addresses or CIDR ranges
+*                                               (e.g., "192.168.20.0/24")
+*   - deviceTypes  | Array   | optional | Types put in the Probe messages
+*   - concurrency  | Integer | optional | Hosts checked at the same time (Default 16)
+*   - rate         | Integer | optional | Hosts started per second (Default 50)
+*   - timeout      | Integer | optional | ms to wait for a ProbeMatch (Default 1000)
+*   - httpFallback | Boolean | optional | Check the device service over HTTP
+*                                         if a host does not answer (Default true)
+*   - user         | String  | optional | Used by the HTTP check to read the scopes
+*   - pass         | String  | optional |
+* - discovery: the OnvifDiscovery object which receives the results
+* ---------------------------------------------------------------- */
+function OnvifSweep(params, discovery) {
+    let errorMessage = '';
+
+    if (errorMessage = helpers.isInvalidValue(params, 'object')) {
+        throw new Error('The value of "params" was invalid: ' + errorMessage);
+    }
+
+    ['concurrency', 'rate', 'timeout'].forEach(name => {
+        if (!(name in params)) {
+            return;
+        }
+
+        if (errorMessage = helpers.isInvalidValue(params[name], 'integer')) {
+            throw new Error(`The "${name}" property was invalid: ${errorMessage}`);
+        } else if (params[name] <= 0) {
+            throw new Error(`The "${name}" property was invalid: The value must be greater than 0.`);
+        }
+    });
+
+    if ('deviceTypes' in params) {
+        if (errorMessage = helpers.isInvalidValue(params['deviceTypes'], 'array', true)) {
+            throw new Error('The "deviceTypes" property was invalid: ' + errorMessage);
+        } else if (!params['deviceTypes'].every(wsDiscovery.isDeviceType)) {
+            throw new Error('The "deviceTypes" property was invalid: Each type must be an XML name (e.g., "NetworkVideoTransmitter").');
+        }
+    }
+
+    this.hosts = expandTargets(params['targets']);
+    this.deviceTypes = params['deviceTypes'] || ['NetworkVideoTransmitter', 'Device', 'NetworkVideoDisplay'];
+    this.concurrency = params['concurrency'] || SWEEP_CONCURRENCY;
+    this.rate = params['rate'] || SWEEP_RATE;
+    this.timeout = params['timeout'] || SWEEP_TIMEOUT;
+    this.httpFallback = params['httpFallback'] !== false;
+    this.user = params['user'] || '';
+    this.pass = params['pass'] || '';
+
+    this.discovery = discovery;
+    this.udpSocket = null;
+    // One pool for all the HTTP checks, without keep-alive as each host is
+    // requested only a few times. Otherwise every host gets a pool of its own.
+    this.httpPool = new OnvifConnectionPool({maxConcurrentRequests: this.concurrency, keepAlive: false});
+    this.devices = {};
+    this.foundAddresses = new Set();
+    this.pending = {};
+    this.nextStartTime = 0;
+    this.finished = null;
+}
+
+/* ------------------------------------------------------------------
+* Method: start()
+*
+* Returns a Promise which is resolved when the sweep has finished.
+* ---------------------------------------------------------------- */
+OnvifSweep.prototype.start = function () {
+    return new Promise(resolve => {
+        this.udpSocket = dgram.createSocket('udp4');
+        this.udpSocket.on('message', (buf, rinfo) => this._onUdpMessage(buf, rinfo));
+        this.udpSocket.once('error', error => this._finish(error).then(resolve));
+        this.udpSocket.bind(() => {
+            this.udpSocket.removeAllListeners('error');
+            this.udpSocket.on('error', () => {
+            });
+
+            const workers = [];
+            for (let i = 0; i < Math.min(this.concurrency, this.hosts.length); i++) {
+                workers.push(this._runWorker());
+            }
+
+            Promise.all(workers)
+                .then(() => this._finish())
+                .then(resolve);
+        });
+    });
+};
+
+/* ------------------------------------------------------------------
+* Method: stop()
+* ---------------------------------------------------------------- */
+OnvifSweep.prototype.stop = function () {
+    return this._finish();
+};
+
+OnvifSweep.prototype._runWorker = function () {
+    const address = this.hosts.shift();
+    if (address === undefined || this.finished) {
+        return Promise.resolve();
+    }
+
+    return this._waitForSlot()
+        .then(() => this._checkHost(address))
+        .catch(() => {
+        })
+        .then(() => this._runWorker());
+};
+
+OnvifSweep.prototype._waitForSlot = function () {
+    const now = Date.now();
+    const startTime = Math.max(now, this.nextStartTime);
+    this.nextStartTime = startTime + 1000 / this.rate;
+
+    return new Promise(resolve => setTimeout(resolve, startTime - now));
+};
+
+OnvifSweep.prototype._checkHost = function (address) {
+    if (this.finished) {
+        return Promise.resolve();
+    }
+
+    return this._sendUnicastProbe(address)
+        .then(answered => {
+            if (!answered && this.httpFallback && !this.finished) {
+                return this._checkHttp(address);
+            }
+        });
+};
+
+OnvifSweep.prototype._sendUnicastProbe = function (address) {
+    return new Promise(resolve => {
+        const timer = setTimeout(() => {
+            delete this.pending[address];
+            resolve(false);
+        }, this.timeout);
+        this.pending[address] = {timer, resolve};
+
+        this.deviceTypes.forEach(type => {
+            const buf = Buffer.from(wsDiscovery.fillProbeSoapTemplate(type, wsDiscovery.createUuidV4()), 'utf8');
+            // Send errors such as EHOSTUNREACH just let the timer expire
+            this.udpSocket.send(buf, 0, buf.length, wsDiscovery.WS_DISCOVERY_PORT, address, () => {
+            });
+        });
+    });
+};
+
+OnvifSweep.prototype._onUdpMessage = function (buf, rinfo) {
+    wsDiscovery.parseMessage(buf)
+        .then(message => (message.type === 'ProbeMatches') ? wsDiscovery.parseScopedData(message.data) : null)
+        .then(data => {
+            if (data === null) {
+                return;
+            }
+
+            this._addDevice(data, rinfo.address);
+            this._settleHost(rinfo.address, true);
+        })
+        .catch(() => {
+        });
+};
+
+OnvifSweep.prototype._settleHost = function (address, answered) {
+    const pending = this.pending[address];
+    if (!pending) {
+        return;
+    }
+
+    clearTimeout(pending.timer);
+    delete this.pending[address];
+    pending.resolve(answered);
+};
+
+OnvifSweep.prototype._checkHttp = function (address) {
+    const tryNextPath = paths => {
+        const path = paths.shift();
+        if (!path || this.finished) {
+            return Promise.resolve();
+        }
+
+        const xaddr = `http://${address}${path}`;
+        const service = new OnvifServiceDevice(xaddr, this.user, this.pass, {pool: this.httpPool});
+
+        // GetSystemDateAndTime is PRE_AUTH, so any ONVIF device answers it
+        return service.getSystemDateAndTime()
+            .then(() => readHttpDeviceData(service, xaddr))
+            .then(data => this._addDevice(data, address))
+            .catch(error => {
+                // Nothing listens on the HTTP port, no point in trying the other paths
+                if (error instanceof errors.OnvifNetworkError) {
+                    return;
+                }
+
+                return tryNextPath(paths);
+            });
+    };
+
+    return tryNextPath(ONVIF_DEVICE_SERVICE_PATHS.slice());
+};
+
+// A device is reported once, whether it answered the Probe or the HTTP
+// check (its ProbeMatch may come late, after the HTTP check found it)
+OnvifSweep.prototype._addDevice = function (data, address) {
+    if (this.finished || (data.urn && this.devices[data.urn]) || this.foundAddresses.has(address)) {
+        return;
+    }
+
+    this.foundAddresses.add(address);
+    this.devices[data.urn || address] = data;
+    this.discovery._addDevice(data);
+};
+
+OnvifSweep.prototype._finish = function (error) {
+    if (this.finished) {
+        return this.finished;
+    }
+
+    Object.keys(this.pending).forEach(address => this._settleHost(address, false));
+
+    this.finished = new Promise(resolve => {
+        if (!this.udpSocket) {
+            return resolve();
+        }
+
+        try {
+            this.udpSocket.close(resolve);
+        } catch {
+            resolve();
+        }
+    }).then(() => {
+        this.udpSocket = null;
+        this.httpPool.destroy();
+        this.discovery._finish(error);
+    });
+
+    return this.finished;
+};
+
+function readHttpDeviceData(service, xaddr) {
+    const data = {
+        urn: '',
+        xaddrs: [xaddr],
+        scopes: [],
+        // The device service answered, which is what a ProbeMatch for "tds:Device" says
+        types: ['tds:Device']
+    };
+
+    return Promise.all([
+        service.getEndpointReference()
+            .then(guid => {
+                data.urn = (typeof (guid) === 'string') ? guid : '';
+            })
+            .catch(() => {
+            }),
+        service.getScopes()
+            .then(result => {
+                const scopes = result['Scopes'];
+                data.scopes = (Array.isArray(scopes) ? scopes : [scopes])
+                    .map(scope => scope && scope['ScopeItem'])
+                    .filter(scope => typeof (scope) === 'string');
+            })
+            .catch(() => {
+            })
+    ]).then(() => wsDiscovery.parseScopes(data));
+}
+
+function expandTargets(targets) {
+    const targetList = Array.isArray(targets) ? targets : [targets];
+    if (targetList.length === 0) {
+        throw new Error('The "targets" property was invalid: The value must not be an empty array.');
+    }
+
+    const hosts = [];
+    const seen = new Set();
+    const addHost = host => {
+        if (!seen.has(host)) {
+            seen.add(host);
+            hosts.push(host);
+        }
+    };
+
+    targetList.forEach(target => {
+        if (typeof (target) !== 'string') {
+            throw new Error('The "targets" property was invalid: Each target must be a string.');
+        }
+
+        const m = target.match(/^([^\/]+)\/(\d{1,2})$/);
+        if (m) {
+            expandCidr(m[1], parseInt(m[2], 10), addHost);
+        } else if (net.isIPv4(target)) {
+            addHost(target);
+        } else {
+            throw new Error(`The "targets" property was invalid: "${target}" is neither an IPv4 address nor a CIDR range.`);
+        }
+
+        if (hosts.length > SWEEP_MAX_HOSTS) {
+            throw new Error(`The "targets" property was invalid: No more than ${SWEEP_MAX_HOSTS} hosts can be swept at once.`);
+        }
+    });
+
+    return hosts;
+}
+
+function expandCidr(address, prefixLength, addHost) {
+    if (!net.isIPv4(address) || prefixLength > 32) {
+        throw new Error(`The "targets" property was invalid: "${address}/${prefixLength}" is not a valid CIDR range.`);
+    }
+
+    if (prefixLength < SWEEP_MIN_PREFIX_LENGTH) {
+        throw new Error(`The "targets" property was invalid: The prefix length must be ${SWEEP_MIN_PREFIX_LENGTH} or greater.`);
+    }
+
+    const mask = (0xffffffff << (32 - prefixLength)) >>> 0;
+    const size = 2 ** (32 - prefixLength);
+    let first = (ipv4ToInt(address) & mask) >>> 0;
+    let last = first + size - 1;
+
+    // Skip the network and broadcast addresses
+    if (size > 2) {
+        first++;
+        last--;
+    }
+
+    for (let n = first; n <= last; n++) {
+        addHost(intToIpv4(n));
+    }
+}
+
+function ipv4ToInt(address) {
+    return address.split('.').reduce((n, octet) => (n * 256) + parseInt(octet, 10), 0);
+}
+
+function intToIpv4(n) {
+    return [n >>> 24, (n >>> 16) & 255, (n >>> 8) & 255, n & 255].join('.');
+}
+
+module.exports = OnvifSweep;
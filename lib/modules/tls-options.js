@@ -0,0 +1,146 @@
+/* ------------------------------------------------------------------
+* node-onvif - tls-options.js
+*
+* Copyright (c) 2016 - 2017, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const helpers = require('./helpers.js');
+
+/* ------------------------------------------------------------------
+* Function: parseTlsOptions(tls)
+* - tls:
+*   - ca                 | String/Buffer/Array | optional | CA certificates (PEM)
+*   - cert               | String/Buffer | optional | Client certificate (PEM)
+*   - key                | String/Buffer | optional | Private key of the client certificate
+*   - pfx                | String/Buffer | optional | Client certificate and key (PKCS#12)
+*   - passphrase         | String  | optional | Passphrase of the key or the pfx
+*   - rejectUnauthorized | Boolean | optional | Verify the server certificate
+*                                               (Default true, false if a
+*                                               fingerprint is pinned)
+*   - fingerprint        | String/Array | optional | SHA-256 fingerprints of the
+*                                               accepted server certificates
+*                                               (e.g., "AB:CD:...:EF")
+*
+* Returns a normalized copy of the options, or null if `tls` is empty.
+* ---------------------------------------------------------------- */
+function parseTlsOptions(tls) {
+    if (tls === undefined || tls === null) {
+        return null;
+    }
+
+    let errorMessage = '';
+    if (errorMessage = helpers.isInvalidValue(tls, 'object', true)) {
+        throw new Error('The "tls" property was invalid: ' + errorMessage);
+    }
+
+    ['ca', 'cert', 'key', 'pfx'].forEach(name => {
+        const list = Array.isArray(tls[name]) ? tls[name] : [tls[name]];
+        if (name in tls && list.some(value => typeof (value) !== 'string' && !Buffer.isBuffer(value))) {
+            throw new Error(`The "tls.${name}" property was invalid: The value must be a string or a Buffer.`);
+        }
+    });
+
+    if ('passphrase' in tls && typeof (tls['passphrase']) !== 'string') {
+        throw new Error('The "tls.passphrase" property was invalid: The value must be a string.');
+    }
+
+    if ('rejectUnauthorized' in tls && (errorMessage = helpers.isInvalidValue(tls['rejectUnauthorized'], 'boolean'))) {
+        throw new Error('The "tls.rejectUnauthorized" property was invalid: ' + errorMessage);
+    }
+
+    const fingerprints = ('fingerprint' in tls) ? [].concat(tls['fingerprint']).map(normalizeFingerprint) : [];
+    if (fingerprints.some(fingerprint => !fingerprint)) {
+        throw new Error('The "tls.fingerprint" property was invalid: Each fingerprint must be a SHA-256 hash in hex.');
+    }
+
+    const options = {};
+    ['ca', 'cert', 'key', 'pfx', 'passphrase'].forEach(name => {
+        if (name in tls) {
+            options[name] = tls[name];
+        }
+    });
+    // A pinned certificate is trusted by itself, which is what the
+    // self-signed certificates of most devices need
+    options.rejectUnauthorized = ('rejectUnauthorized' in tls) ? tls['rejectUnauthorized'] : fingerprints.length === 0;
+    options.fingerprints = fingerprints;
+
+    return options;
+}
+
+/* ------------------------------------------------------------------
+* Function: getRequestOptions(tls)
+*
+* Returns the properties to be merged into the options of
+* https.request().
+* ---------------------------------------------------------------- */
+function getRequestOptions(tls) {
+    const options = {};
+    if (!tls) {
+        return options;
+    }
+
+    ['ca', 'cert', 'key', 'pfx', 'passphrase', 'rejectUnauthorized'].forEach(name => {
+        if (name in tls) {
+            options[name] = tls[name];
+        }
+    });
+
+    // A resumed TLS session does not present the certificate again, so
+    // the shared agent, which caches the sessions, can not be used
+    if (tls.fingerprints.length > 0) {
+        options.agent = false;
+    }
+
+    return options;
+}
+
+/* ------------------------------------------------------------------
+* Function: verifyFingerprint(request, tls)
+*
+* Resolves once the server certificate of the request has been checked
+* against the pinned fingerprints, or rejects if it does not match.
+* Nothing should be written to the request before this is resolved.
+* ---------------------------------------------------------------- */
+function verifyFingerprint(request, tls) {
+    if (!tls || tls.fingerprints.length === 0) {
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+        request.once('socket', socket => {
+            const check = () => {
+                const cert = socket.getPeerCertificate();
+                const fingerprint = normalizeFingerprint(cert && cert.fingerprint256);
+                if (fingerprint && tls.fingerprints.indexOf(fingerprint) >= 0) {
+                    resolve();
+                } else {
+                    reject(new Error('The certificate fingerprint of the device did not match: ' + (cert && cert.fingerprint256)));
+                }
+            };
+
+            if (typeof (socket.getPeerCertificate) !== 'function') {
+                return reject(new Error('A certificate fingerprint is pinned but the connection is not encrypted.'));
+            }
+
+            // A kept-alive socket has finished its handshake already
+            if (Object.keys(socket.getPeerCertificate()).length > 0) {
+                check();
+            } else {
+                socket.once('secureConnect', check);
+            }
+        });
+    });
+}
+
+function normalizeFingerprint(fingerprint) {
+    const hex = (typeof (fingerprint) === 'string') ? fingerprint.replace(/:/g, '').toUpperCase() : '';
+    return /^[0-9A-F]{64}$/.test(hex) ? hex : '';
+}
+
+module.exports = {
+    parseTlsOptions,
+    getRequestOptions,
+    verifyFingerprint
+};
@@ -0,0 +1,393 @@
+/* ------------------------------------------------------------------
+* node-onvif - ws-discovery.js
+*
+* Copyright (c) 2016 - 2017, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const crypto = require('crypto');
+const helpers = require('./helpers.js');
+
+const WS_DISCOVERY_MULTICAST_ADDRESS = '239.255.255.250';
+const WS_DISCOVERY_MULTICAST_ADDRESS_V6 = 'ff02::c';
+const WS_DISCOVERY_PORT = 3702;
+
+/* ------------------------------------------------------------------
+* Function: parseMessage(buf)
+* - buf: a Buffer received on a WS-Discovery socket
+*
+* Resolves with an object:
+*   - type      : 'ProbeMatches', 'ResolveMatches', 'Hello', 'Bye' or ''
+*                 (unknown)
+*   - messageId : the <a:MessageID> of the message
+*   - matches   : a list of urn, xaddrs, scopes, types, one for each
+*                 ProbeMatch or ResolveMatch (a Discovery Proxy may
+*                 answer with many)
+*   - data      : the first of the matches, or the Hello/Bye data
+* ---------------------------------------------------------------- */
+function parseMessage(buf) {
+    return helpers.parseXml(buf.toString())
+        .then(xml => {
+            const message = {
+                type: getMessageType(xml),
+                messageId: getMessageId(xml),
+                matches: [],
+                data: null
+            };
+
+            if (message.type === 'ProbeMatches' || message.type === 'ResolveMatches') {
+                message.matches = parseMatches(xml, message.type);
+                message.data = message.matches[0] || createEmptyData();
+            } else if (message.type === 'Hello' || message.type === 'Bye') {
+                message.data = parseAnnouncement(xml, message.type);
+            }
+
+            return message;
+        });
+}
+
+function getMessageType(xml) {
+    const body = xml && xml['Body'];
+    if (!body || typeof (body) !== 'object') {
+        return '';
+    }
+
+    return ['ProbeMatches', 'ResolveMatches', 'Hello', 'Bye'].find(type => type in body) || '';
+}
+
+function getMessageId(xml) {
+    try {
+        return getText(xml['Header']['MessageID']);
+    } catch {
+        return '';
+    }
+}
+
+function createEmptyData() {
+    return {
+        urn: '',
+        xaddrs: [],
+        scopes: [],
+        types: ''
+    };
+}
+
+function parseMatches(xml, type) {
+    let matches = [];
+    try {
+        matches = xml['Body'][type][type.replace(/es$/, '')];
+    } catch {
+    }
+
+    if (!matches) {
+        return [];
+    }
+
+    return (Array.isArray(matches) ? matches : [matches]).map(match => {
+        const data = createEmptyData();
+
+        try {
+            fillEndpointData(data, match);
+        } catch {
+        }
+
+        return data;
+    });
+}
+
+function parseAnnouncement(xml, type) {
+    const data = createEmptyData();
+
+    try {
+        fillEndpointData(data, xml['Body'][type]);
+    } catch {
+    }
+
+    return parseScopes(data);
+}
+
+function fillEndpointData(data, endpoint) {
+    data.urn = getText(endpoint['EndpointReference']['Address']);
+
+    const xaddrs = getText(endpoint['XAddrs']);
+    if (xaddrs) {
+        data.xaddrs = xaddrs.split(/\s+/);
+    }
+
+    const scopes = getText(endpoint['Scopes']);
+    if (scopes) {
+        data.scopes = scopes.split(/\s+/);
+    }
+
+    // modified to support Pelco cameras
+    const types = getText(endpoint['Types']);
+    if (types) {
+        data.types = types.split(/\s+/);
+    }
+}
+
+function getText(value) {
+    if (value && typeof (value) === 'object') {
+        value = value['_'];
+    }
+
+    return (typeof (value) === 'string') ? value.trim() : '';
+}
+
+/* ------------------------------------------------------------------
+* Function: parseScopedData(data)
+*
+* Returns null unless the data carries an urn, xaddrs and scopes,
+* which is what a usable ProbeMatch must have.
+* ---------------------------------------------------------------- */
+function parseScopedData(data) {
+    if (data.urn && data.xaddrs.length > 0 && data.scopes.length > 0) {
+        return parseScopes(data);
+    }
+
+    return null;
+}
+
+function parseScopes(data) {
+    data.name = '';
+    data.hardware = '';
+    data.location = '';
+
+    data.scopes.forEach(scope => {
+        if (scope.indexOf('onvif://www.onvif.org/hardware/') === 0) {
+            data.hardware = scope.split('/').pop();
+        } else if (scope.indexOf('onvif://www.onvif.org/location/') === 0) {
+            data.location = scope.split('/').pop();
+        } else if (scope.indexOf('onvif://www.onvif.org/name/') === 0) {
+            data.name = scope.split('/').pop();
+            data.name = data.name.replace(/_/g, ' ');
+        }
+    });
+
+    data.scopeInfo = parseScopeInfo(data.scopes);
+
+    return data;
+}
+
+/* ------------------------------------------------------------------
+* Function: parseScopeInfo(scopes)
+* - scopes: a list of scope URIs
+*
+* Returns an object:
+*   - name     : the decoded name scope (e.g., "Panasonic BB-SC384B")
+*   - hardware : the decoded hardware scope
+*   - location : a list of decoded location paths
+*                (e.g., ["building-7", "country/Japan"])
+*   - country  : the country from "country/" or "location/country/"
+*   - types    : a list of "type/" values (e.g., ["video_encoder", "ptz"])
+*   - mac      : a list of "mac/" values
+*   - profiles : a list of "Profile/" values (e.g., ["Streaming", "G"])
+*   - profile  : conformance flags S, G, C, Q, A, T, M and D
+*                ("Profile/Streaming" means Profile S)
+*   - onvif    : every onvif://www.onvif.org/ scope, grouped by the
+*                first path segment (e.g., {"location": ["country/Japan"]})
+*   - vendor   : the other (vendor-specific) scopes as they are
+* ---------------------------------------------------------------- */
+function parseScopeInfo(scopes) {
+    const info = {
+        name: '',
+        hardware: '',
+        location: [],
+        country: '',
+        types: [],
+        mac: [],
+        profiles: [],
+        profile: {S: false, G: false, C: false, Q: false, A: false, T: false, M: false, D: false},
+        onvif: {},
+        vendor: []
+    };
+
+    scopes.forEach(scope => {
+        const m = scope.match(/^onvif:\/\/www\.onvif\.org\/([^\/]+)\/?(.*)$/i);
+        if (!m) {
+            if (scope) {
+                info.vendor.push(scope);
+            }
+            return;
+        }
+
+        const category = decodeScopeSegment(m[1]);
+        const value = m[2].split('/').filter(segment => segment !== '').map(decodeScopeSegment).join('/');
+
+        if (!info.onvif[category]) {
+            info.onvif[category] = [];
+        }
+        info.onvif[category].push(value);
+
+        switch (category.toLowerCase()) {
+            case 'name':
+                info.name = info.name || value;
+                break;
+            case 'hardware':
+                info.hardware = info.hardware || value;
+                break;
+            case 'location':
+                info.location.push(value);
+                if (/^country\//i.test(value)) {
+                    info.country = info.country || value.replace(/^country\//i, '');
+                }
+                break;
+            case 'country':
+                info.country = info.country || value;
+                break;
+            case 'type':
+                info.types.push(value);
+                break;
+            case 'mac':
+                info.mac.push(value);
+                break;
+            case 'profile':
+                info.profiles.push(value);
+                setProfileFlag(info.profile, value);
+                break;
+        }
+    });
+
+    return info;
+}
+
+function setProfileFlag(flags, profile) {
+    const key = getProfileKey(profile);
+    if (key in flags) {
+        flags[key] = true;
+    }
+}
+
+/* ------------------------------------------------------------------
+* Function: getProfileKey(profile)
+*
+* Returns the key of the conformance flag for a profile name
+* (e.g., "Streaming" -> "S", "t" -> "T").
+* ---------------------------------------------------------------- */
+function getProfileKey(profile) {
+    return (profile.toLowerCase() === 'streaming') ? 'S' : profile.toUpperCase();
+}
+
+function decodeScopeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        return segment;
+    }
+}
+
+/* ------------------------------------------------------------------
+* Function: fillProbeSoapTemplate(type, uuid[, scopes[, matchBy]])
+* - type    : a device type (e.g., "NetworkVideoTransmitter"), or an
+*             empty string for a Probe without <d:Types>
+* - uuid    : the MessageID
+* - scopes  : a list of scope URIs the devices must have
+* - matchBy : "rfc3986", "strcmp0" or the URI of a matching rule
+* ---------------------------------------------------------------- */
+function fillProbeSoapTemplate(type, uuid, scopes, matchBy) {
+    if (type && !isDeviceType(type)) {
+        throw new Error('The device type "' + type + '" is not a valid XML name.');
+    }
+
+    let body = '';
+    body += '<Probe xmlns="http://schemas.xmlsoap.org/ws/2005/04/discovery">';
+    if (type) {
+        body += `<d:Types xmlns:d="http://schemas.xmlsoap.org/ws/2005/04/discovery" xmlns:dp0="http://www.onvif.org/ver10/network/wsdl">dp0:${type}</d:Types>`;
+    }
+    if (scopes && scopes.length > 0) {
+        body += `<d:Scopes xmlns:d="http://schemas.xmlsoap.org/ws/2005/04/discovery" MatchBy="${escapeXml(getMatchByUri(matchBy))}">`;
+        body += escapeXml(scopes.join(' '));
+        body += '</d:Scopes>';
+    }
+    body += '</Probe>';
+
+    return fillSoapTemplate('Probe', uuid, body);
+}
+
+/* ------------------------------------------------------------------
+* Function: fillResolveSoapTemplate(urn, uuid)
+* - urn  : the endpoint reference of the device (e.g., "urn:uuid:...")
+* - uuid : the MessageID
+* ---------------------------------------------------------------- */
+function fillResolveSoapTemplate(urn, uuid) {
+    let body = '';
+    body += '<Resolve xmlns="http://schemas.xmlsoap.org/ws/2005/04/discovery">';
+    body += '<a:EndpointReference>';
+    body += `<a:Address>${escapeXml(urn)}</a:Address>`;
+    body += '</a:EndpointReference>';
+    body += '</Resolve>';
+
+    return fillSoapTemplate('Resolve', uuid, body);
+}
+
+function fillSoapTemplate(action, uuid, body) {
+    let soapBody = '';
+    soapBody += '<?xml version="1.0" encoding="UTF-8"?>';
+    soapBody += '<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope" xmlns:a="http://schemas.xmlsoap.org/ws/2004/08/addressing">';
+    soapBody += '<s:Header>';
+    soapBody += `<a:Action s:mustUnderstand="1">http://schemas.xmlsoap.org/ws/2005/04/discovery/${action}</a:Action>`;
+    soapBody += `<a:MessageID>uuid:${uuid}</a:MessageID>`;
+    soapBody += '<a:ReplyTo>';
+    soapBody += '<a:Address>http://schemas.xmlsoap.org/ws/2004/08/addressing/role/anonymous</a:Address>';
+    soapBody += '</a:ReplyTo>';
+    soapBody += '<a:To s:mustUnderstand="1">urn:schemas-xmlsoap-org:ws:2005:04:discovery</a:To>';
+    soapBody += '</s:Header>';
+    soapBody += `<s:Body>${body}</s:Body>`;
+    soapBody += '</s:Envelope>';
+
+    return soapBody;
+}
+
+function getMatchByUri(matchBy) {
+    if (!matchBy || matchBy === 'rfc3986') {
+        return 'http://schemas.xmlsoap.org/ws/2005/04/discovery/rfc3986';
+    } else if (matchBy === 'strcmp0') {
+        return 'http://schemas.xmlsoap.org/ws/2005/04/discovery/strcmp0';
+    }
+
+    return matchBy;
+}
+
+/* ------------------------------------------------------------------
+* Function: isDeviceType(type)
+*
+* Returns true if the type can be put in <d:Types> as "dp0:" + type,
+* that is, if it is a string which is an XML NCName (e.g.,
+* "NetworkVideoTransmitter").
+* ---------------------------------------------------------------- */
+function isDeviceType(type) {
+    return typeof (type) === 'string' && /^[A-Za-z_][\w.\-]*$/.test(type);
+}
+
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function createUuidV4() {
+    const charList = crypto.randomBytes(16).toString('hex').toLowerCase().split('');
+    charList[12] = '4';
+    charList[16] = (parseInt(charList[16], 16) & 3 | 8).toString(16);
+    const m = charList.join('').match(/^(.{8})(.{4})(.{4})(.{4})(.{12})/);
+
+    return [m[1], m[2], m[3], m[4], m[5]].join('-');
+}
+
+module.exports = {
+    WS_DISCOVERY_MULTICAST_ADDRESS,
+    WS_DISCOVERY_MULTICAST_ADDRESS_V6,
+    WS_DISCOVERY_PORT,
+    parseMessage,
+    parseScopedData,
+    parseScopes,
+    parseScopeInfo,
+    getProfileKey,
+    isDeviceType,
+    fillProbeSoapTemplate,
+    fillResolveSoapTemplate,
+    createUuidV4
+};
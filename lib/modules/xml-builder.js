@@ -0,0 +1,167 @@
+/* ------------------------------------------------------------------
+* node-onvif - xml-builder.js
+*
+* Copyright (c) 2016 - 2017, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+
+// The prefixes which are declared by the SOAP envelope or by XML itself
+const RESERVED_PREFIXES = ['s', 'xml', 'xmlns'];
+
+// Characters which are not allowed in an XML 1.0 document
+const INVALID_CHARACTERS = /[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(^|[^\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+
+const NAME_PATTERN = /^(?:([A-Za-z_][\w.\-]*):)?[A-Za-z_][\w.\-]*$/;
+
+/* ------------------------------------------------------------------
+* Function: build(node[, namespaces])
+* - node: an object whose keys are the names of the elements (e.g.,
+*         "trt:ProfileToken") and whose values are:
+*   - a string, a number or a boolean: the text of the element
+*   - an object: the child elements, along with "$" for the attributes
+*                and "_" for the text (as xml2js parses them)
+*   - an Array: the element is repeated for each value
+*   - null or undefined: the element is left out
+* - namespaces: the xmlns attributes of the envelope
+*         (e.g., ['xmlns:tt="http://www.onvif.org/ver10/schema"']).
+*         If given, a name with any other prefix is refused.
+*
+* Returns the XML string, every text and attribute value escaped.
+* Throws an Error for an invalid name or a value which can not be put
+* in XML.
+*
+* e.g., build({'trt:GetProfile': {'trt:ProfileToken': 'A&B'}})
+*       -> '<trt:GetProfile><trt:ProfileToken>A&amp;B</trt:ProfileToken></trt:GetProfile>'
+* ---------------------------------------------------------------- */
+function build(node, namespaces) {
+    if (!isObject(node)) {
+        throw new Error('The XML node must be an object.');
+    }
+
+    const prefixes = Array.isArray(namespaces) ? RESERVED_PREFIXES.concat(getPrefixes(namespaces)) : null;
+    return buildChildren(node, prefixes);
+}
+
+function buildChildren(node, prefixes) {
+    return Object.keys(node).map(name => {
+        const value = node[name];
+        if (value === undefined || value === null) {
+            return '';
+        }
+
+        checkName(name, prefixes);
+        return [].concat(value).map(item => buildElement(name, item, prefixes)).join('');
+    }).join('');
+}
+
+function buildElement(name, value, prefixes) {
+    if (value === undefined || value === null) {
+        return '';
+    } else if (!isObject(value)) {
+        return `<${name}>${escapeText(toText(value, name))}</${name}>`;
+    }
+
+    const attrs = isObject(value['$']) ? value['$'] : {};
+    const children = {};
+    Object.keys(value).forEach(key => {
+        if (key !== '$' && key !== '_') {
+            children[key] = value[key];
+        }
+    });
+
+    let xml = '<' + name;
+    Object.keys(attrs).forEach(key => {
+        if (attrs[key] === undefined || attrs[key] === null) {
+            return;
+        }
+
+        checkName(key, prefixes);
+        xml += ` ${key}="${escapeAttribute(toText(attrs[key], name + '@' + key))}"`;
+    });
+
+    const text = (value['_'] === undefined || value['_'] === null) ? '' : escapeText(toText(value['_'], name));
+    const content = text + buildChildren(children, prefixes);
+
+    return content ? `${xml}>${content}</${name}>` : `${xml}/>`;
+}
+
+function toText(value, name) {
+    let text = '';
+    if (typeof (value) === 'string') {
+        text = value;
+    } else if (typeof (value) === 'boolean') {
+        text = value ? 'true' : 'false';
+    } else if (typeof (value) === 'number' && isFinite(value)) {
+        text = String(value);
+    } else {
+        throw new Error(`The value of "${name}" must be a string, a finite number or a boolean.`);
+    }
+
+    if (INVALID_CHARACTERS.test(text)) {
+        throw new Error(`The value of "${name}" has a character which is not allowed in XML.`);
+    }
+
+    return text;
+}
+
+function checkName(name, prefixes) {
+    const m = name.match(NAME_PATTERN);
+    if (!m) {
+        throw new Error(`The XML name "${name}" was invalid.`);
+    }
+
+    if (prefixes && m[1] && prefixes.indexOf(m[1]) < 0) {
+        throw new Error(`The namespace prefix "${m[1]}" of "${name}" is not declared.`);
+    }
+}
+
+function getPrefixes(namespaces) {
+    return namespaces
+        .map(ns => String(ns).match(/^\s*xmlns:([\w.\-]+)\s*=/))
+        .filter(m => m)
+        .map(m => m[1]);
+}
+
+/* ------------------------------------------------------------------
+* Function: escapeText(text)
+* ---------------------------------------------------------------- */
+function escapeText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\r/g, '&#13;');
+}
+
+/* ------------------------------------------------------------------
+* Function: escapeAttribute(text)
+* ---------------------------------------------------------------- */
+function escapeAttribute(text) {
+    return escapeText(text)
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        .replace(/\t/g, '&#9;')
+        .replace(/\n/g, '&#10;');
+}
+
+/* ------------------------------------------------------------------
+* Function: isValidText(text)
+*
+* Tells whether a string can be put in XML (once escaped).
+* ---------------------------------------------------------------- */
+function isValidText(text) {
+    return !INVALID_CHARACTERS.test(text);
+}
+
+function isObject(value) {
+    return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+module.exports = {
+    build,
+    escapeText,
+    escapeAttribute,
+    isValidText
+};
@@ -7,168 +7,649 @@
 * ---------------------------------------------------------------- */
 'use strict';
 const dgram = require('dgram');
-const crypto = require('crypto');
+const os = require('os');
+const net = require('net');
+const Util = require('util');
+const EventEmitter = require('events').EventEmitter;
 const helpers = require('./modules/helpers.js');
+const wsDiscovery = require('./modules/ws-discovery.js');
+const OnvifDiscovery = require('./modules/discovery.js');
+const OnvifSweep = require('./modules/sweep.js');
 
 const DISCOVERY_RETRIES_MAX = 3;
 const DISCOVERY_RETRY_INTERVAL = 150; // ms
 const DISCOVERY_TIMEOUT = 3000; // ms
-const WS_DISCOVERY_MULTICAST_ADDRESS = '239.255.255.250';
-const WS_DISCOVERY_PORT = 3702;
+const ANNOUNCEMENT_HISTORY_MAX = 100;
 
 function Onvif() {
     this.OnvifDevice = require('./modules/device.js');
+    this.OnvifRegistry = require('./modules/registry.js');
+    this.errors = require('./modules/errors.js');
+    this.OnvifHttpTransport = require('./modules/http-transport.js');
+    this.OnvifMemoryTransport = require('./modules/memory-transport.js');
     this._activeProbes = {};
+    this._activeSweeps = {};
+    this._listener = null;
+    this._listenerAddresses = [];
+    this._announcementIds = [];
+
+    EventEmitter.call(this);
 }
 
-Onvif.prototype.startProbe = function (deviceTypes = ['NetworkVideoTransmitter', 'Device', 'NetworkVideoDisplay']) {
-    const requestId = createUuidV4();
-    const probe = createProbe();
+Util.inherits(Onvif, EventEmitter);
+
+/* ------------------------------------------------------------------
+* Method: startProbe([params])
+* - params: as for discover()
+*
+* Resolves with the list of the found devices. Unless a `timeout` is
+* given, the probe ends once the last Probe has been sent and
+* `interval` has passed, as it always did; with a `timeout`, the
+* answers are awaited until then.
+* ---------------------------------------------------------------- */
+Onvif.prototype.startProbe = function (params) {
+    return new Promise((resolve, reject) => {
+        const options = parseProbeParams(params);
+        options.finishWhenSent = !(params && !Array.isArray(params) && 'timeout' in params);
+
+        this._startProbe(options)
+            .once('done', resolve)
+            .once('error', reject);
+    });
+};
+
+/* ------------------------------------------------------------------
+* Method: discover([params])
+* - params: an Array of device types, or an object:
+*   - types         | Array   | optional | Device types to probe for, each one in
+*                                          its own Probe (Default: NetworkVideoTransmitter,
+*                                          Device, NetworkVideoDisplay). An empty
+*                                          Array sends a single untyped Probe.
+*   - deviceTypes   | Array   | optional | Same as `types`
+*   - scopes        | Array   | optional | Scopes the devices must have
+*                                          (e.g., "onvif://www.onvif.org/location/building-7")
+*   - matchBy       | String  | optional | "rfc3986" (Default), "strcmp0" or
+*                                          the URI of another matching rule
+*   - profiles      | Array   | optional | ONVIF profiles the devices must claim
+*                                          in their scopes (e.g., ["S", "T"]).
+*                                          "Streaming" is the same as "S".
+*   - timeout       | Integer | optional | How long to wait for answers in ms (Default 3000)
+*   - retries       | Integer | optional | How many times each Probe is sent (Default 3)
+*   - interval      | Integer | optional | ms between two Probe messages (Default 150)
+*   - family        | String | optional | "ipv4", "ipv6" or "both" (Default "ipv4")
+*   - ipv6Interface | String | optional | The interface to send the IPv6
+*                                         probe on (e.g., "eth0")
+*   - interfaces    | Array  | optional | Interface names or local addresses
+*                                         to send the probe through (e.g.,
+*                                         ["eth0", "192.168.20.5"])
+*   - proxy         | String | optional | Address of a Discovery Proxy (e.g.,
+*                                         "10.0.0.5", "soap.udp://10.0.0.5:3702").
+*                                         The Probe is sent to it by unicast
+*                                         instead of multicast (managed mode).
+*
+* Starts a probe like startProbe() does, but returns an OnvifDiscovery
+* object right away. It emits a 'device' event as soon as each device
+* answers, and a 'done' event with the full list when the probe ends.
+* A device answering over both IPv4 and IPv6 is reported once, with
+* the xaddrs of both merged. When the probe is sent through specific
+* interfaces, each device gets an `interface` property naming the one
+* it was found on.
+* ---------------------------------------------------------------- */
+Onvif.prototype.discover = function (params) {
+    return this._startProbe(parseProbeParams(params));
+};
+
+/* ------------------------------------------------------------------
+* Method: resolve(urn[, params])
+* - urn: the endpoint reference of the device (e.g., "urn:uuid:...")
+* - params: timeout, retries, interval, family, ipv6Interface,
+*           interfaces and proxy, as for discover()
+*
+* Sends a WS-Discovery Resolve message and resolves with the current
+* urn, xaddrs, scopes and types of the device, or with null if the
+* device does not answer. This finds a device again after its
+* address has changed, e.g., by DHCP.
+* ---------------------------------------------------------------- */
+Onvif.prototype.resolve = function (urn, params) {
+    return new Promise((resolve, reject) => {
+        let errorMessage = '';
+        if (errorMessage = helpers.isInvalidValue(urn, 'string')) {
+            throw new Error('The value of "urn" was invalid: ' + errorMessage);
+        }
+
+        const options = parseProbeParams(params);
+        options.resolveUrn = urn;
+
+        const discovery = this._startProbe(options);
+        discovery.on('device', device => {
+            if (device.urn === urn) {
+                discovery.stop();
+            }
+        });
+        discovery.once('done', list => resolve(list.find(device => device.urn === urn) || null));
+        discovery.once('error', reject);
+    });
+};
+
+Onvif.prototype._startProbe = function (options) {
+    const requestId = wsDiscovery.createUuidV4();
+    const discovery = new OnvifDiscovery(() => this._stopProbe(requestId));
+    const probe = createProbe(discovery, options);
     this._activeProbes[requestId] = probe;
 
-    return this._setupUdpSocketAndStartProbing(probe, deviceTypes, requestId);
+    this._setupUdpSocketAndStartProbing(probe, requestId);
+
+    return discovery;
+};
+
+/* ------------------------------------------------------------------
+* Method: sweep(params)
+*
+* Sends the WS-Discovery Probe by unicast to every host in the given
+* CIDR ranges or address list, so that devices behind routers can be
+* found as well. Hosts which do not answer can be checked over HTTP.
+* See OnvifSweep in modules/sweep.js for the parameters.
+*
+* Returns an OnvifDiscovery object, just like discover() does.
+* ---------------------------------------------------------------- */
+Onvif.prototype.sweep = function (params) {
+    const requestId = wsDiscovery.createUuidV4();
+    const discovery = new OnvifDiscovery(() => sweep.stop());
+    const sweep = new OnvifSweep(params, discovery);
+    this._activeSweeps[requestId] = sweep;
+
+    sweep.start()
+        .then(() => {
+            delete this._activeSweeps[requestId];
+        });
+
+    return discovery;
+};
+
+/* ------------------------------------------------------------------
+* Method: startSweep(params)
+*
+* Resolves with the list of the found devices once the sweep is done.
+* ---------------------------------------------------------------- */
+Onvif.prototype.startSweep = function (params) {
+    return new Promise((resolve, reject) => {
+        this.sweep(params)
+            .once('done', resolve)
+            .once('error', reject);
+    });
 };
 
 Onvif.prototype.stopAllProbes = function () {
-    return Promise.all(Object.keys(this._activeProbes).map(requestId => {
-        const probe = this._activeProbes[requestId];
-        clearProbeTimeouts(probe);
-
-        return closeUdpSocket(probe)
-            .then(() => this._removeProbe(requestId))
-            .catch(() => {
-            });
-    }));
+    return Promise.all([].concat(
+        Object.keys(this._activeProbes).map(requestId => this._stopProbe(requestId)),
+        Object.keys(this._activeSweeps).map(requestId => this._activeSweeps[requestId].stop())
+    ));
+};
+
+Onvif.prototype._stopProbe = function (requestId) {
+    const probe = this._activeProbes[requestId];
+    if (!probe) {
+        return Promise.resolve();
+    }
+
+    return this._finishProbe(probe, requestId);
 };
 
-Onvif.prototype._setupUdpSocketAndStartProbing = function (probe, deviceTypes, requestId) {
+/* ------------------------------------------------------------------
+* Method: startListening()
+*
+* Joins the WS-Discovery multicast group on every IPv4 interface and
+* keeps listening for the Hello and Bye messages which devices announce
+* when they join or leave the network. The Onvif object emits:
+*   - 'hello' : a device has announced itself (urn, xaddrs, scopes, ...)
+*   - 'bye'   : a device is leaving the network (urn, ...)
+*   - 'error' : the listening socket failed after it was bound
+* ---------------------------------------------------------------- */
+Onvif.prototype.startListening = function () {
+    if (this._listener) {
+        return Promise.resolve();
+    }
+
+    const udpSocket = dgram.createSocket({type: 'udp4', reuseAddr: true});
+    this._listener = udpSocket;
+
     return new Promise((resolve, reject) => {
-        probe.udpSocket.once('error', reject);
-        probe.udpSocket.on('message', buf => onUdpMessage(probe, buf));
-        probe.udpSocket.bind(() => {
-            probe.udpSocket.removeAllListeners('error');
-            probe.discovery_timeout_timer = setTimeout(this._finishProbe.bind(this), DISCOVERY_TIMEOUT, probe, requestId, resolve, reject);
-
-            sendProbe(probe, deviceTypes)
-                .then(() => this._finishProbe(probe, requestId, resolve, reject)) // Clears the timer, don't worry about executing twice
-                .catch(reject);
+        udpSocket.once('error', error => {
+            this._listener = null;
+            udpSocket.close();
+            reject(error);
+        });
+        udpSocket.on('message', buf => this._onAnnouncement(buf));
+        udpSocket.bind(wsDiscovery.WS_DISCOVERY_PORT, () => {
+            udpSocket.removeAllListeners('error');
+            udpSocket.on('error', error => this.emit('error', error));
+            this._listenerAddresses = joinMulticastGroup(udpSocket);
+            resolve();
         });
     });
 };
 
-Onvif.prototype._finishProbe = function (probe, requestId, resolve, reject) {
+/* ------------------------------------------------------------------
+* Method: stopListening()
+* ---------------------------------------------------------------- */
+Onvif.prototype.stopListening = function () {
+    const udpSocket = this._listener;
+    if (!udpSocket) {
+        return Promise.resolve();
+    }
+
+    const addresses = this._listenerAddresses;
+    this._listener = null;
+    this._listenerAddresses = [];
+    this._announcementIds = [];
+
+    return new Promise(resolve => {
+        addresses.forEach(address => {
+            try {
+                udpSocket.dropMembership(wsDiscovery.WS_DISCOVERY_MULTICAST_ADDRESS, address || undefined);
+            } catch {
+            }
+        });
+        udpSocket.close(resolve);
+    });
+};
+
+Onvif.prototype._onAnnouncement = function (buf) {
+    wsDiscovery.parseMessage(buf)
+        .then(message => {
+            if (message.type !== 'Hello' && message.type !== 'Bye') {
+                return;
+            }
+
+            // Devices repeat their announcements, which carry the same MessageID
+            if (message.messageId) {
+                if (this._announcementIds.includes(message.messageId)) {
+                    return;
+                }
+
+                this._announcementIds.push(message.messageId);
+                if (this._announcementIds.length > ANNOUNCEMENT_HISTORY_MAX) {
+                    this._announcementIds.shift();
+                }
+            }
+
+            this.emit(message.type.toLowerCase(), message.data);
+        }, () => {
+        });
+};
+
+Onvif.prototype._setupUdpSocketAndStartProbing = function (probe, requestId) {
+    Promise.all(probe.channels.map(channel => bindUdpSocket(probe, channel)))
+        .then(() => {
+            // The answers to the last Probe are still awaited until the timeout
+            probe.discovery_timeout_timer = setTimeout(this._finishProbe.bind(this), probe.options.timeout, probe, requestId);
+
+            return sendProbe(probe);
+        })
+        .then(() => {
+            if (probe.options.finishWhenSent && !probe.closed) {
+                return this._finishProbe(probe, requestId);
+            }
+        })
+        .catch(error => this._finishProbe(probe, requestId, error));
+};
+
+Onvif.prototype._finishProbe = function (probe, requestId, error) {
     clearProbeTimeouts(probe);
+    this._removeProbe(requestId);
 
-    return closeUdpSocket(probe)
-        .then(() => this._removeProbe(requestId))
-        .then(() => createDeviceList(probe.devices))
-        .then(resolve)
-        .catch(reject);
+    return closeUdpSockets(probe)
+        .then(() => probe.discovery._finish(error));
 };
 
 Onvif.prototype._removeProbe = function (requestId) {
     delete this._activeProbes[requestId];
 };
 
-function createProbe() {
+function parseProbeParams(params) {
+    if (Array.isArray(params)) {
+        params = {deviceTypes: params};
+    } else if (params === undefined) {
+        params = {};
+    }
+
+    let errorMessage = '';
+    if (errorMessage = helpers.isInvalidValue(params, 'object', true)) {
+        throw new Error('The value of "params" was invalid: ' + errorMessage);
+    }
+
+    ['types', 'deviceTypes', 'scopes'].forEach(name => {
+        if (name in params && (errorMessage = helpers.isInvalidValue(params[name], 'array', true))) {
+            throw new Error(`The "${name}" property was invalid: ${errorMessage}`);
+        }
+    });
+
+    ['types', 'deviceTypes'].forEach(name => {
+        if (name in params && !params[name].every(wsDiscovery.isDeviceType)) {
+            throw new Error(`The "${name}" property was invalid: Each type must be an XML name (e.g., "NetworkVideoTransmitter").`);
+        }
+    });
+
+    if ('scopes' in params && params['scopes'].some(scope => helpers.isInvalidValue(scope, 'string') || /\s/.test(scope))) {
+        throw new Error('The "scopes" property was invalid: Each scope must be a URI without white spaces.');
+    }
+
+    if ('matchBy' in params && (errorMessage = helpers.isInvalidValue(params['matchBy'], 'string'))) {
+        throw new Error('The "matchBy" property was invalid: ' + errorMessage);
+    }
+
+    if ('profiles' in params) {
+        if (errorMessage = helpers.isInvalidValue(params['profiles'], 'array', true)) {
+            throw new Error('The "profiles" property was invalid: ' + errorMessage);
+        } else if (params['profiles'].some(profile => helpers.isInvalidValue(profile, 'string') || !/^[SGCQATMD]$/.test(wsDiscovery.getProfileKey(profile)))) {
+            throw new Error('The "profiles" property was invalid: Each profile must be one of "S" ("Streaming"), "G", "C", "Q", "A", "T", "M" and "D".');
+        }
+    }
+
+    [['timeout', 1], ['retries', 1], ['interval', 0]].forEach(([name, min]) => {
+        if (!(name in params)) {
+            return;
+        }
+
+        if (errorMessage = helpers.isInvalidValue(params[name], 'integer')) {
+            throw new Error(`The "${name}" property was invalid: ${errorMessage}`);
+        } else if (params[name] < min) {
+            throw new Error(`The "${name}" property was invalid: The value must be ${min} or greater.`);
+        }
+    });
+
+    if ('family' in params && !/^(ipv4|ipv6|both)$/.test(params['family'])) {
+        throw new Error('The "family" property must be "ipv4", "ipv6" or "both".');
+    }
+
+    if ('ipv6Interface' in params && (errorMessage = helpers.isInvalidValue(params['ipv6Interface'], 'string'))) {
+        throw new Error('The "ipv6Interface" property was invalid: ' + errorMessage);
+    }
+
+    if ('interfaces' in params) {
+        if (errorMessage = helpers.isInvalidValue(params['interfaces'], 'array')) {
+            throw new Error('The "interfaces" property was invalid: ' + errorMessage);
+        } else if (params['interfaces'].some(entry => helpers.isInvalidValue(entry, 'string'))) {
+            throw new Error('The "interfaces" property was invalid: Each entry must be an interface name or a local address.');
+        }
+    }
+
+    if ('proxy' in params && (errorMessage = helpers.isInvalidValue(params['proxy'], 'string'))) {
+        throw new Error('The "proxy" property was invalid: ' + errorMessage);
+    }
+
     return {
-        udpSocket: dgram.createSocket('udp4'),
+        types: params['types'] || params['deviceTypes'] || ['NetworkVideoTransmitter', 'Device', 'NetworkVideoDisplay'],
+        scopes: params['scopes'] || [],
+        matchBy: params['matchBy'] || '',
+        profiles: (params['profiles'] || []).map(wsDiscovery.getProfileKey),
+        timeout: ('timeout' in params) ? params['timeout'] : DISCOVERY_TIMEOUT,
+        retries: ('retries' in params) ? params['retries'] : DISCOVERY_RETRIES_MAX,
+        interval: ('interval' in params) ? params['interval'] : DISCOVERY_RETRY_INTERVAL,
+        family: params['family'] || 'ipv4',
+        ipv6Interface: params['ipv6Interface'] || '',
+        interfaces: params['interfaces'] || [],
+        proxy: ('proxy' in params) ? parseProxyAddress(params['proxy']) : null,
+        resolveUrn: '',
+        finishWhenSent: false
+    };
+}
+
+function parseProxyAddress(proxy) {
+    const uri = helpers.parseUrl((proxy.indexOf('://') < 0) ? 'soap.udp://' + proxy : proxy);
+    if (uri.protocol !== 'soap.udp:') {
+        throw new Error('The "proxy" property was invalid: Only "soap.udp" Discovery Proxies are supported.');
+    }
+
+    return {
+        hostname: uri.hostname,
+        port: uri.port ? parseInt(uri.port, 10) : wsDiscovery.WS_DISCOVERY_PORT
+    };
+}
+
+function createProbe(discovery, options) {
+    const channels = resolveChannels(options).map(channel => {
+        channel.udpSocket = dgram.createSocket(channel.type);
+        return channel;
+    });
+
+    return {
+        options: options,
+        channels: channels,
+        closed: false,
+        discovery: discovery,
         devices: {},
         discovery_timeout_timer: null,
         discovery_interval_timer: null
     };
 }
 
-function onUdpMessage(probe, buf) {
-    helpers.parseXml(buf.toString())
-        .then(parseDataFromXmlResponse)
-        .then(parseScopedData)
-        .then(data => setDeviceData(probe, data))
-        .catch(() => {
+function resolveChannels(options) {
+    if (options.proxy) {
+        return [createProxyChannel(options.proxy)];
+    }
+
+    if (options.interfaces.length === 0) {
+        return createDefaultChannels(options);
+    }
+
+    const nics = os.networkInterfaces();
+    const channels = [];
+
+    options.interfaces.forEach(entry => {
+        let name = entry;
+        let addressList = nics[entry];
+
+        if (!addressList) {
+            // A local address, find the interface it belongs to
+            name = Object.keys(nics).find(n => nics[n].some(info => info.address === entry));
+            if (!name) {
+                throw new Error(`The "interfaces" property was invalid: "${entry}" is neither an interface nor an address of this host.`);
+            }
+            addressList = nics[name].filter(info => info.address === entry);
+        }
+
+        addressList.forEach(info => {
+            const family = getAddressFamily(info);
+            if (family === 4 && options.family !== 'ipv6') {
+                channels.push(createIpv4Channel(info.address, name));
+            } else if (family === 6 && options.family !== 'ipv4' && !channels.some(c => c.type === 'udp6' && c.interface === name)) {
+                channels.push(createIpv6Channel(name));
+            }
         });
+    });
+
+    if (channels.length === 0) {
+        throw new Error('The "interfaces" property was invalid: No address of the requested family was found on the interfaces.');
+    }
+
+    return channels;
+}
+
+function createDefaultChannels(options) {
+    const channels = [];
+
+    if (options.family !== 'ipv6') {
+        channels.push(createIpv4Channel(null, null));
+    }
+
+    if (options.family !== 'ipv4') {
+        channels.push(createIpv6Channel(options.ipv6Interface || null));
+    }
+
+    return channels;
+}
+
+function createProxyChannel(proxy) {
+    return {
+        type: net.isIPv6(proxy.hostname.split('%')[0]) ? 'udp6' : 'udp4',
+        address: proxy.hostname,
+        port: proxy.port,
+        bindAddress: null,
+        multicastInterface: null,
+        interface: null
+    };
 }
 
-function parseDataFromXmlResponse(xml) {
-    const data = {
-        urn: '',
-        xaddrs: [],
-        scopes: [],
-        types: ''
+function createIpv4Channel(localAddress, name) {
+    return {
+        type: 'udp4',
+        address: wsDiscovery.WS_DISCOVERY_MULTICAST_ADDRESS,
+        port: wsDiscovery.WS_DISCOVERY_PORT,
+        bindAddress: localAddress,
+        multicastInterface: localAddress,
+        interface: name
     };
+}
 
-    try {
-        const probeMatches = xml['Body']['ProbeMatches'];
+function createIpv6Channel(name) {
+    // FF02::C is link-local, so the zone selects the interface it goes out on
+    const zone = name ? '%' + name : '';
 
-        if (probeMatches !== undefined) {
-            const probeMatch = probeMatches['ProbeMatch'];
-            data.urn = probeMatch['EndpointReference']['Address'];
-            data.xaddrs = probeMatch['XAddrs'].split(/\s+/);
+    return {
+        type: 'udp6',
+        address: wsDiscovery.WS_DISCOVERY_MULTICAST_ADDRESS_V6 + zone,
+        port: wsDiscovery.WS_DISCOVERY_PORT,
+        bindAddress: null,
+        multicastInterface: zone ? '::' + zone : null,
+        interface: name
+    };
+}
 
-            if (typeof (probeMatch['Scopes']) === 'string') {
-                data.scopes = probeMatch['Scopes'].split(/\s+/);
-            } else if (typeof (probeMatch['Scopes']) === 'object' && typeof (probeMatch['Scopes']['_']) === 'string') {
-                data.scopes = probeMatch['Scopes']['_'].split(/\s+/);
+// Node.js v18.0 - v18.3 report the family as a number
+// Joins the multicast group on every IPv4 interface, as the OS only joins it
+// on its default one otherwise. Returns the addresses joined on (null for the
+// default interface, if no interface could be joined on).
+function joinMulticastGroup(udpSocket) {
+    const nics = os.networkInterfaces();
+    const addresses = [];
+    Object.keys(nics).forEach(name => {
+        nics[name].forEach(info => {
+            if (getAddressFamily(info) !== 4 || addresses.includes(info.address)) {
+                return;
             }
 
-            // modified to support Pelco cameras
-            if (typeof (probeMatch['Types']) === 'string') {
-                data.types = probeMatch['Types'].split(/\s+/);
-            } else if (typeof (probeMatch['Types']) === 'object' && typeof (probeMatch['Types']['_']) === 'string') {
-                data.types = probeMatch['Types']['_'].split(/\s+/)
+            try {
+                udpSocket.addMembership(wsDiscovery.WS_DISCOVERY_MULTICAST_ADDRESS, info.address);
+                addresses.push(info.address);
+            } catch {
+                // e.g., an interface without multicast
             }
-        }
-    } catch {
+        });
+    });
+
+    if (addresses.length === 0) {
+        udpSocket.addMembership(wsDiscovery.WS_DISCOVERY_MULTICAST_ADDRESS);
+        addresses.push(null);
     }
 
-    return data;
+    return addresses;
 }
 
-function parseScopedData(data) {
-    if (data.urn && data.xaddrs.length > 0 && data.scopes.length > 0) {
-        data.name = '';
-        data.hardware = '';
-        data.location = '';
-
-        data.scopes.forEach(scope => {
-            if (scope.indexOf('onvif://www.onvif.org/hardware/') === 0) {
-                data.hardware = scope.split('/').pop();
-            } else if (scope.indexOf('onvif://www.onvif.org/location/') === 0) {
-                data.location = scope.split('/').pop();
-            } else if (scope.indexOf('onvif://www.onvif.org/name/') === 0) {
-                data.name = scope.split('/').pop();
-                data.name = data.name.replace(/_/g, ' ');
+function getAddressFamily(info) {
+    return (info.family === 'IPv4' || info.family === 4) ? 4 : (info.family === 'IPv6' || info.family === 6) ? 6 : 0;
+}
+
+function bindUdpSocket(probe, channel) {
+    return new Promise((resolve, reject) => {
+        channel.udpSocket.once('error', reject);
+        channel.udpSocket.on('message', (buf, rinfo) => onUdpMessage(probe, channel, buf, rinfo));
+        channel.udpSocket.bind(channel.bindAddress ? {port: 0, address: channel.bindAddress} : {port: 0}, () => {
+            channel.udpSocket.removeAllListeners('error');
+
+            try {
+                if (channel.multicastInterface) {
+                    channel.udpSocket.setMulticastInterface(channel.multicastInterface);
+                }
+            } catch (error) {
+                return reject(error);
             }
+
+            resolve();
         });
-    } else {
-        data = null;
+    });
+}
+
+function onUdpMessage(probe, channel, buf, rinfo) {
+    wsDiscovery.parseMessage(buf)
+        .then(message => {
+            if (message.type === 'ProbeMatches' && !probe.options.resolveUrn) {
+                return message.matches.map(wsDiscovery.parseScopedData)
+                    .map(data => hasProfiles(data, probe.options.profiles) ? data : null);
+            } else if (message.type === 'ResolveMatches' && probe.options.resolveUrn) {
+                // A ResolveMatch does not need to carry any scope
+                return message.matches.map(data => (data.urn && data.xaddrs.length > 0) ? wsDiscovery.parseScopes(data) : null);
+            }
+
+            return [];
+        })
+        .then(list => list.forEach(data => {
+            data = addZoneToXaddrs(data, rinfo);
+            if (data !== null && channel.interface) {
+                data.interface = channel.interface;
+            }
+
+            setDeviceData(probe, data);
+        }))
+        .catch(() => {
+        });
+}
+
+function hasProfiles(data, profiles) {
+    return data !== null && profiles.every(key => data.scopeInfo.profile[key]);
+}
+
+// Link-local xaddrs are useless without the zone the answer came in on
+function addZoneToXaddrs(data, rinfo) {
+    const zone = (data && rinfo.family === 'IPv6') ? rinfo.address.split('%')[1] : '';
+    if (zone) {
+        data.xaddrs = data.xaddrs.map(xaddr => xaddr.replace(/^(\w+:\/\/\[fe80:[^\]%]*)\]/i, `$1%${zone}]`));
     }
 
     return data;
 }
 
 function setDeviceData(probe, data) {
-    if (data === null || probe.devices[data.urn]) {
+    if (data === null) {
+        return;
+    }
+
+    const device = probe.devices[data.urn];
+    if (device) {
+        // The same device answering over another address family
+        data.xaddrs.forEach(xaddr => {
+            if (device.xaddrs.indexOf(xaddr) < 0) {
+                device.xaddrs.push(xaddr);
+            }
+        });
         return;
     }
 
     probe.devices[data.urn] = data;
+    probe.discovery._addDevice(data);
 }
 
-function sendProbe(probe, deviceTypes) {
+function sendProbe(probe) {
     return new Promise((resolve, reject) => {
-        if (!probe.udpSocket) {
-            reject(new Error('No UDP connection is available. The init() method might not be called yet.'));
+        if (probe.closed) {
+            return reject(new Error('No UDP connection is available. The init() method might not be called yet.'));
         }
 
-        sendSoapRequest(probe, resolve, buildSoapRequests(deviceTypes));
+        sendSoapRequest(probe, resolve, buildSoapRequests(probe.options));
     });
 }
 
-function buildSoapRequests(deviceTypes) {
-    const soapSet = deviceTypes.map(type => fillProbeSoapTemplate(type, createUuidV4()));
+function buildSoapRequests(options) {
+    let soapSet = [];
+    if (options.resolveUrn) {
+        soapSet = [wsDiscovery.fillResolveSoapTemplate(options.resolveUrn, wsDiscovery.createUuidV4())];
+    } else {
+        const types = (options.types.length > 0) ? options.types : [''];
+        soapSet = types.map(type => wsDiscovery.fillProbeSoapTemplate(type, wsDiscovery.createUuidV4(), options.scopes, options.matchBy));
+    }
 
     const soapRequests = [];
-    for (let i = 0; i < DISCOVERY_RETRIES_MAX; i++) {
+    for (let i = 0; i < options.retries; i++) {
         soapSet.forEach((s) => {
             soapRequests.push(s);
         });
@@ -177,37 +658,19 @@ function buildSoapRequests(deviceTypes) {
     return soapRequests;
 }
 
-function fillProbeSoapTemplate(type, uuid) {
-    let soapBody = '';
-    soapBody += '<?xml version="1.0" encoding="UTF-8"?>';
-    soapBody += '<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope" xmlns:a="http://schemas.xmlsoap.org/ws/2004/08/addressing">';
-    soapBody += '<s:Header>';
-    soapBody += '<a:Action s:mustUnderstand="1">http://schemas.xmlsoap.org/ws/2005/04/discovery/Probe</a:Action>';
-    soapBody += `<a:MessageID>uuid:${uuid}</a:MessageID>`;
-    soapBody += '<a:ReplyTo>';
-    soapBody += '<a:Address>http://schemas.xmlsoap.org/ws/2004/08/addressing/role/anonymous</a:Address>';
-    soapBody += '</a:ReplyTo>';
-    soapBody += '<a:To s:mustUnderstand="1">urn:schemas-xmlsoap-org:ws:2005:04:discovery</a:To>';
-    soapBody += '</s:Header>';
-    soapBody += '<s:Body>';
-    soapBody += '<Probe xmlns="http://schemas.xmlsoap.org/ws/2005/04/discovery">';
-    soapBody += `<d:Types xmlns:d="http://schemas.xmlsoap.org/ws/2005/04/discovery" xmlns:dp0="http://www.onvif.org/ver10/network/wsdl">dp0:${type}</d:Types>`;
-    soapBody += '</Probe>';
-    soapBody += '</s:Body>';
-    soapBody += '</s:Envelope>';
-
-    return soapBody;
-}
-
 function sendSoapRequest(probe, resolve, soapRequests) {
     const soapRequest = soapRequests.shift();
-    if (!soapRequest) {
+    if (!soapRequest || probe.closed) {
         return resolve();
     }
 
     const buf = Buffer.from(soapRequest, 'utf8');
-    probe.udpSocket.send(buf, 0, buf.length, WS_DISCOVERY_PORT, WS_DISCOVERY_MULTICAST_ADDRESS, () => {
-        probe.discovery_interval_timer = setTimeout(sendSoapRequest, DISCOVERY_RETRY_INTERVAL, probe, resolve, soapRequests);
+    Promise.all(probe.channels.map(channel => new Promise(sent => {
+        channel.udpSocket.send(buf, 0, buf.length, channel.port, channel.address, () => sent());
+    }))).then(() => {
+        if (!probe.closed) {
+            probe.discovery_interval_timer = setTimeout(sendSoapRequest, probe.options.interval, probe, resolve, soapRequests);
+        }
     });
 }
 
@@ -223,39 +686,20 @@ function clearProbeTimeouts(probe) {
     }
 }
 
-function closeUdpSocket(probe) {
-    return new Promise(resolve => {
-        if (!probe.udpSocket) {
-            return resolve();
-        }
-
-        probe.udpSocket.close(() => onUdpSocketClosed(probe, resolve));
-    });
-}
-
-function onUdpSocketClosed(probe, resolve) {
-    probe.udpSocket.unref();
-    probe.udpSocket = null;
-
-    resolve();
-}
-
-function createDeviceList(deviceObject) {
-    const list = [];
-    Object.keys(deviceObject).forEach(urn => {
-        list.push(deviceObject[urn]);
-    });
-
-    return list;
-}
+function closeUdpSockets(probe) {
+    if (probe.closed) {
+        return Promise.resolve();
+    }
 
-function createUuidV4() {
-    const charList = crypto.randomBytes(16).toString('hex').toLowerCase().split('');
-    charList[12] = '4';
-    charList[16] = (parseInt(charList[16], 16) & 3 | 8).toString(16);
-    const m = charList.join('').match(/^(.{8})(.{4})(.{4})(.{4})(.{12})/);
+    probe.closed = true;
 
-    return [m[1], m[2], m[3], m[4], m[5]].join('-');
+    return Promise.all(probe.channels.map(channel => new Promise(resolve => {
+        try {
+            channel.udpSocket.close(resolve);
+        } catch {
+            resolve();
+        }
+    })));
 }
 
 module.exports = new Onvif();